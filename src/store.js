@@ -11,39 +11,130 @@
     'use strict';
 
     // Key registry keeps track of the keys used by the stores, to make sure they can't use each
-    // other's data.
+    // other's data. It maps each physical key to its owner: `{key, store, declaredAt}`.
     var __keyRegistry = {};
 
+    // Prefix registry does the same for prefixes, mapping each physical prefix to its owner:
+    // `{prefix, store, declaredAt}`.
+    var __prefixRegistry = {};
+
     // Construct a `new Store`, passing the keys you'd like access to and, optionally, some options.
     //
     // Options:
     //   - transformer: object with `parse` and `stringify` methods, used to transform the data on
-    //     set and get respectively. Defaults to the Store.passTranformer object.
+    //     set and get respectively, or an array of them to compose with Store.compose. Defaults to
+    //     the Store.passTranformer object.
     //   - backend: string, object or array of backends. The store will test each backend,
     //     left-to-right, and choose the first it finds that passes all the tests. A backend must
-    //     implement `setItem`, `getItem`, `removeItem` and `clear` methods. Defaults to ['local'].
+    //     implement `setItem`, `getItem`, `removeItem` and `clear` methods. The strings `local`,
+    //     `session`, `memory` and `indexeddb` map to the built in backends. Defaults to ['local'].
+    //   - async: boolean. Async stores accept backends whose methods return promises, like the
+    //     `indexeddb` backend, and every method returns a promise. Defaults to false.
+    //   - namespace: string prefixed to every key in the backend, so that `user` in the 'myapp:v1'
+    //     namespace is stored at `myapp:v1:user`. Stores in different namespaces can declare the
+    //     same keys without clobbering each other's data. Defaults to no namespace.
+    //   - name: string naming the store in Store.registry and in errors about its keys, so that
+    //     it's easy to find which store owns a key. Defaults to no name.
+    //   - version: positive integer version of the shape of the store's data. It's recorded next to
+    //     every value that's set, and data written by older versions is migrated when the store is
+    //     constructed. Defaults to no versioning.
+    //   - migrations: object mapping versions to functions that migrate a value from the version
+    //     before. Each is called with the value and key, and returns the new value, or undefined to
+    //     remove it. Versions without a migration leave values alone. Data written before
+    //     versioning was used counts as version 1.
+    //   - onQuotaExceeded: what `set` does when the backend is full, as do `setMany` and `import`
+    //     for each value they write. 'throw' rethrows the error. 'failover' switches to the next
+    //     usable backend after the current one in the `backend` list, copying the data across as
+    //     setBackend does, and sets the value there. A function is called with the key, value and
+    //     store, and can free up space, after which the value is set again. If the function
+    //     returns false, or setting fails again, the error is thrown. Defaults to 'throw'.
+    //   - sync: 'broadcast' to keep the store in step with the same store in other tabs, for
+    //     backends other tabs can't see, like `session` and `memory`. Every `set` and `remove` is
+    //     sent to the other tabs over a BroadcastChannel, or relayed through localStorage's storage
+    //     event where there isn't one, and written to their backends. If two tabs change a key at
+    //     the same time, the last change wins, as ordered by a logical clock. Defaults to no sync.
+    //   - cache: true to keep the values `get` returns in memory, so that they're only read from
+    //     the backend and parsed once. Cached values are shared between calls to `get`, so don't
+    //     change them. They're forgotten when the key is set or removed, or changed by another
+    //     tab. Pass `{writeBehind: true}` to also hold back writes until `flush` is called or the
+    //     page is hidden, so that several sets only write to the backend once. Defaults to false.
     function Store(keys, opts) {
-        this.setKeys(keys);
-
         // Opts must be an object because we're about to start using it like one!
         if (!(opts && typeof opts === 'object')) {
             opts = {};
         }
 
-        // Use and test the supplied transformer, defaulting to the invisible passTransformer.
+        // The namespace is needed to declare keys, and can't change afterwards, because the data
+        // and key registry would be left behind.
+        if (typeof opts.namespace !== 'undefined' &&
+            !(typeof opts.namespace === 'string' && opts.namespace.length > 0)) {
+            throw new TypeError('Namespace must be a non-empty string');
+        }
+        Object.defineProperty(this, 'namespace', {
+            configurable: false,
+            enumerable: true,
+            writable: false,
+            value: opts.namespace
+        });
+
+        if (typeof opts.name !== 'undefined' &&
+            !(typeof opts.name === 'string' && opts.name.length > 0)) {
+            throw new TypeError('Name must be a non-empty string');
+        }
+        this.name = opts.name;
+
+        checkVersion(opts.version, opts.migrations);
+        this.version = opts.version;
+        this.migrations = opts.migrations || {};
+
+        this.async = !!opts.async;
+        if (this.async && typeof root.Promise !== 'function') {
+            throw new TypeError('Async stores require Promise support');
+        }
+
+        // Use and test the supplied transformer, defaulting to the invisible passTransformer. An
+        // array of transformers is composed into one.
         opts.transformer = opts.transformer || Store.passTransformer;
+        if (Array.isArray(opts.transformer)) {
+            opts.transformer = Store.compose(opts.transformer);
+        }
         this.testTransformer(opts.transformer);
         this.transformer = opts.transformer;
 
-        // Use and set (and therefore test) the supplied backend, defaulting to local storage.
-        opts.backend = opts.backend || ['local'];
-        this.setBackend(opts.backend);
+        opts.onQuotaExceeded = opts.onQuotaExceeded || 'throw';
+        if (!(opts.onQuotaExceeded === 'throw' || opts.onQuotaExceeded === 'failover' ||
+              typeof opts.onQuotaExceeded === 'function')) {
+            throw new TypeError('onQuotaExceeded must be "throw", "failover" or a function');
+        }
+        this.onQuotaExceeded = opts.onQuotaExceeded;
+
+        if (typeof opts.sync !== 'undefined' && opts.sync !== 'broadcast') {
+            throw new TypeError('sync must be "broadcast"');
+        }
+        this.sync = opts.sync;
+
+        if (opts.cache && !(opts.cache === true || typeof opts.cache === 'object')) {
+            throw new TypeError('cache must be a boolean or an object of options');
+        }
+        this.cache = !!opts.cache;
+
+        // Every option has been checked, so declare the keys. If anything fails from here on,
+        // nobody can get hold of the store to destroy it, so release its keys before throwing.
+        this.setKeys(keys);
+        try {
+            setUp(this, opts);
+        } catch (e) {
+            releaseKeys(this);
+            throw e;
+        }
     }
 
     // Map backend strings to their actual storage objects.
     Store.backendMap = {
-        local:   localStorage,
-        session: sessionStorage
+        local:   getGlobal('localStorage'),
+        session: getGlobal('sessionStorage'),
+        memory:  new MemoryStorage(),
+        indexeddb: new IndexedDBStorage()
     };
 
     // Transparent transformer that doesn't affect the value. Used by default. The object is frozen
@@ -54,30 +145,208 @@
         stringify: pass
     });
 
+    // JSON transformer that round-trips the types plain JSON loses: Date, Map, Set, RegExp, BigInt,
+    // typed arrays, undefined, NaN and Infinity. They're stored as objects tagged with a `$type`
+    // property, so anything plain JSON stored is read the same way it always was. Like
+    // Store.passTransformer, the object is frozen.
+    Store.richJSONTransformer = Object.freeze({
+        parse: function (value) {
+            if (isMissing(value)) {
+                return value;
+            }
+            return decodeRich(JSON.parse(value));
+        },
+        stringify: function (value) {
+            return JSON.stringify(encodeRich(value, []));
+        }
+    });
+
+    // Create an async transformer that encrypts values with AES-GCM, using Web Crypto, before they
+    // reach the backend, and decrypts them on the way out. AES-GCM authenticates the data, so
+    // values that have been tampered with, or were encrypted with another key, throw rather than
+    // decrypt to garbage. Only strings can be encrypted, so compose it after a serialising
+    // transformer, like `[JSON, Store.encryptingTransformer(key)]`.
+    // Takes an AES-GCM CryptoKey that can encrypt and decrypt, or a promise for one.
+    // Returns a frozen transformer, which can only be used by async stores.
+    Store.encryptingTransformer = function (key) {
+        if (!key) {
+            throw new TypeError('Encrypting transformer requires a key');
+        }
+        var keyPromise = Promise.resolve(key);
+
+        return Object.freeze({
+            async: true,
+            parse: function (value) {
+                if (isMissing(value)) {
+                    return value;
+                }
+                return keyPromise.then(function (key) {
+                    return decrypt(key, value);
+                });
+            },
+            stringify: function (value) {
+                if (typeof value !== 'string') {
+                    return Promise.reject(new TypeError(
+                        'Encrypting transformer can only encrypt strings, so compose it after ' +
+                        'a transformer like JSON'
+                    ));
+                }
+                return keyPromise.then(function (key) {
+                    return encrypt(key, value);
+                });
+            }
+        });
+    };
+
+    // Transformer that compresses strings, to fit more into a backend's quota. Compose it after a
+    // serialising transformer, like `[JSON, Store.compressingTransformer]`. The output only uses
+    // characters that are safe to store in UTF-16, and starts with a header, so values stored
+    // before compression was used are still read as they are. Values that wouldn't get any smaller
+    // are stored uncompressed. Like Store.passTransformer, the object is frozen.
+    Store.compressingTransformer = Object.freeze({
+        parse: function (value) {
+            if (typeof value !== 'string' || value.indexOf(COMPRESSED_PREFIX) !== 0) {
+                return value;
+            }
+            return decompress(value);
+        },
+        stringify: function (value) {
+            if (typeof value !== 'string') {
+                throw new TypeError('Compressing transformer can only compress strings, so ' +
+                    'compose it after a transformer like JSON');
+            }
+            var compressed = compress(value);
+            // Anything that looks compressed has to be, or it'd be decompressed on the way out.
+            if (compressed.length < value.length || value.indexOf(COMPRESSED_PREFIX) === 0) {
+                return compressed;
+            }
+            return value;
+        }
+    });
+
+    // Compose an array of transformers into one, so that serialisation, compression and so on can
+    // be layered. `stringify` runs the transformers left-to-right and `parse` runs them
+    // right-to-left, so `[JSON, compressor]` stringifies to JSON and then compresses it. If a
+    // transformer throws, the error says which one, and has its index as `stage` and the original
+    // error as `cause`. Transformers that return promises are waited for, and make the composed
+    // transformer async. Missing values, null or undefined, are parsed as themselves.
+    // Returns a frozen transformer.
+    Store.compose = function (transformers) {
+        if (!Array.isArray(transformers)) {
+            throw new TypeError('Compose takes an array of transformers');
+        }
+
+        var stages = transformers.map(function (transformer, index) {
+            try {
+                checkTransformer(transformer);
+            } catch (e) {
+                throw new TypeError('Transformer at index ' + index + ': ' + e.message);
+            }
+            return { transformer: transformer, index: index };
+        });
+
+        return Object.freeze({
+            async: stages.some(function (stage) {
+                return !!stage.transformer.async;
+            }),
+            parse: function (value) {
+                // Stores parse null when there's no value, which there's no point decoding.
+                if (isMissing(value)) {
+                    return value;
+                }
+                return runStages(stages.slice().reverse(), 'parse', value);
+            },
+            stringify: function (value) {
+                return runStages(stages, 'stringify', value);
+            }
+        });
+    };
+
     // Gets value at `key` from the current backend, if the key was declared when the store was
     // constructed. Takes a string `key`, and returns the value. The value will be put through the
-    // current transformer on the way out.
-    Store.prototype.get = function (key) {
-        if (!this.hasDeclared(key)) {
-            throw new Error('Attempting to get undeclared key: ' + key);
-        }
-        return this.transformer.parse(
-            this.backend.getItem(key)
-        );
+    // current transformer on the way out. Expired values are removed. If there's no value, the
+    // key's default is returned, or undefined for expired values. Values that fail the key's
+    // validator throw, unless a fallback is supplied.
+    //
+    // Options:
+    //   - fallback: value to return instead of throwing if the stored value can't be parsed or is
+    //     invalid, for example because it was edited by hand.
+    Store.prototype.get = function (key, opts) {
+        return whenReady(this, function () {
+            if (!this.hasDeclared(key)) {
+                throw new Error('Attempting to get undeclared key: ' + key);
+            }
+
+            if (!(opts && typeof opts === 'object')) {
+                opts = {};
+            }
+
+            return intercept(this, 'get', key, undefined, function () {
+                // Cached values have already been parsed and validated.
+                var cached = cachedValue(this, key);
+                if (cached) {
+                    return cached.value;
+                }
+                return then(this, readCurrentEntry(this, key), function (entry) {
+                    if (isExpired(entry)) {
+                        return then(this, removeCurrentEntry(this, key), function () {
+                            return defaultValue(this, key);
+                        }.bind(this));
+                    }
+                    if (isMissing(entry.value) && hasDefault(this, key)) {
+                        return defaultValue(this, key);
+                    }
+                    var failed = false;
+                    var parsed = attempt(this, function () {
+                        return then(this, this.transformer.parse(entry.value), function (value) {
+                            if (!isMissing(entry.value)) {
+                                validate(this, key, value);
+                            }
+                            return value;
+                        }.bind(this));
+                    }.bind(this), function (e) {
+                        if (!opts.hasOwnProperty('fallback')) {
+                            throw e;
+                        }
+                        failed = true;
+                        return opts.fallback;
+                    });
+                    return then(this, parsed, function (value) {
+                        if (!failed && !isMissing(entry.value)) {
+                            cacheValue(this, key, value, entry);
+                        }
+                        return value;
+                    }.bind(this));
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
     };
 
     // Sets 'value' to `key` against the current backend, if the key was declared when the store was
     // constructed. Takes a string key and value. The value will be passed through a transformer, if
-    // defined. Returns the value that was set.
-    Store.prototype.set = function (key, value) {
-        if (!this.hasDeclared(key)) {
-            throw new Error('Attempting to set undeclared key: ' + key);
-        }
-        this.backend.setItem(
-            key,
-            this.transformer.stringify(value)
-        );
-        return value;
+    // defined. Returns the value that was set. Throws if the value fails the key's validator.
+    //
+    // Options:
+    //   - ttl: number of milliseconds until the value expires. Defaults to the ttl the key was
+    //     declared with, if any, or to never expiring.
+    Store.prototype.set = function (key, value, opts) {
+        return whenReady(this, function () {
+            if (!this.hasDeclared(key)) {
+                throw new Error('Attempting to set undeclared key: ' + key);
+            }
+
+            return intercept(this, 'set', key, value, function (value) {
+                return then(this, readOldValue(this, key), function (oldValue) {
+                    return then(this, createEntry(this, key, value, opts), function (entry) {
+                        return then(this, writeCurrentEntry(this, key, value, entry), function () {
+                            publish(this, key, entry);
+                            emitChange(this, key, oldValue, value, 'store');
+                            return value;
+                        }.bind(this));
+                    }.bind(this));
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
     };
 
     // Removes the value at `key` from the current backend, if the key was declared when the store
@@ -85,86 +354,593 @@
     // Takes a string key.
     // Returns whatever the current backend's removeItem implementation returns.
     Store.prototype.remove = function (key) {
+        return whenReady(this, function () {
+            if (!this.hasDeclared(key)) {
+                throw new Error('Attempting to remove undeclared key: ' + key);
+            }
+            return intercept(this, 'remove', key, undefined, function () {
+                return then(this, readOldValue(this, key), function (oldValue) {
+                    return then(this, removeCurrentEntry(this, key), function (result) {
+                        publish(this, key, null);
+                        emitChange(this, key, oldValue, undefined, 'store');
+                        return result;
+                    }.bind(this));
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Listen for changes to the value at `key`, which must have been declared. Takes the event
+    // name, which must be 'change', the key and a handler. The handler is called with an object:
+    //   - key: the key that changed.
+    //   - oldValue: the value before the change, or undefined if there wasn't one.
+    //   - newValue: the value after the change, or undefined if it was removed.
+    //   - source: 'store' if the change was made through this store, 'storage' if it was made
+    //     by another tab, picked up from the window's storage event, or 'broadcast' if it was
+    //     made by another tab's store and sent with the `sync` option.
+    //   - error: only there if a value from another tab couldn't be parsed, in which case it's
+    //     what the transformer threw, and the value is undefined, or if a change sent by another
+    //     tab couldn't be written, in which case it's what the backend threw, and newValue is
+    //     undefined.
+    // Values from other tabs are put through the transformer, just like `get`, and are undefined
+    // if they've expired.
+    // Returns the store.
+    Store.prototype.on = function (name, key, handler) {
+        checkEvent(name, handler);
         if (!this.hasDeclared(key)) {
-            throw new Error('Attempting to remove undeclared key: ' + key);
+            throw new Error('Attempting to listen to undeclared key: ' + key);
+        }
+
+        var listeners = getListeners(this);
+        listeners[key] = (listeners[key] || []).concat(handler);
+
+        // Only watch other tabs while someone is listening.
+        if (!this.storageListener && typeof root.addEventListener === 'function') {
+            Object.defineProperty(this, 'storageListener', {
+                configurable: true,
+                enumerable: false,
+                value: onStorage.bind(null, this)
+            });
+            root.addEventListener('storage', this.storageListener);
+        }
+
+        return this;
+    };
+
+    // Stop listening for changes. Takes the same arguments as `on`.
+    // Returns the store.
+    Store.prototype.off = function (name, key, handler) {
+        checkEvent(name, handler);
+
+        var listeners = getListeners(this);
+        if (listeners[key]) {
+            listeners[key] = listeners[key].filter(function (listener) {
+                return listener !== handler;
+            });
+            if (listeners[key].length === 0) {
+                delete listeners[key];
+            }
+        }
+
+        if (this.storageListener && Object.keys(listeners).length === 0) {
+            root.removeEventListener('storage', this.storageListener);
+            delete this.storageListener;
+        }
+
+        return this;
+    };
+
+    // Adds middleware that runs around every `get`, `set` and `remove`, for logging, metrics,
+    // caching and the like, including each key read or written by `getMany`, `setMany`,
+    // `removeMany` and `import`. It runs after the key has been checked, so it can't get at
+    // undeclared keys. Middleware added first runs first.
+    // Takes a function, which is called with the operation ('get', 'set' or 'remove'), the key,
+    // the value being set (undefined for 'get' and 'remove') and `next`. Calling `next` runs the
+    // next middleware, and then the operation itself, and returns the result. `next` can be passed
+    // a different value to set. Middleware returns the result of the operation, or a promise for it
+    // with async stores. It can answer a `get` itself, without calling `next`, but `set` and
+    // `remove` throw if it doesn't call `next` exactly once, and if the operation fails, so does
+    // the `set` or `remove`, even if the middleware caught the error. With sync stores, middleware
+    // must call `next` before it returns, and mustn't return a promise.
+    // Returns the store.
+    Store.prototype.use = function (middleware) {
+        if (typeof middleware !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        Object.defineProperty(this, 'middleware', {
+            configurable: true,
+            enumerable: false,
+            value: (this.middleware || []).concat(middleware)
+        });
+        return this;
+    };
+
+    // Gets the values at several declared keys. Every key is checked before anything is read.
+    // Takes an array of string keys.
+    // Returns an object mapping each key to its value, as `get` would return it.
+    Store.prototype.getMany = function (keys) {
+        return whenReady(this, function () {
+            checkDeclared(this, keys, 'get');
+            return then(this, series(this, keys, function (key) {
+                return this.get(key);
+            }.bind(this)), function (values) {
+                return zip(keys, values);
+            });
+        }.bind(this));
+    };
+
+    // Sets the values at several declared keys, all or nothing. Every key and value is checked,
+    // and every value put through the transformer, before anything is written, and if writing fails
+    // partway the keys already written are put back the way they were. A full backend is handled
+    // the same way as by `set`, following the store's onQuotaExceeded policy for each write.
+    // Takes an object mapping keys to values, and the same options as `set`.
+    // Returns the object of values.
+    Store.prototype.setMany = function (values, opts) {
+        return whenReady(this, function () {
+            if (!(values && typeof values === 'object')) {
+                throw new TypeError('setMany takes an object mapping keys to values');
+            }
+            var keys = Object.keys(values);
+            checkDeclared(this, keys, 'set');
+
+            return then(this, series(this, keys, function (key) {
+                return createEntry(this, key, values[key], opts);
+            }.bind(this)), function (entries) {
+                var items = keys.map(function (key, index) {
+                    return { key: key, value: values[key], entry: entries[index] };
+                });
+                // Filled in with the values middleware actually set, for the change events.
+                var written = {};
+                return then(this, changeMany(this, keys, function () {
+                    return then(this, setEntries(this, items, opts), function (result) {
+                        items = result;
+                        items.forEach(function (item) {
+                            written[item.key] = item.value;
+                        });
+                    });
+                }.bind(this), written), function () {
+                    invalidate(this, keys);
+                    items.forEach(function (item) {
+                        publish(this, item.key, item.entry);
+                    }, this);
+                    return written;
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Removes the values at several declared keys, all or nothing. Every key is checked before
+    // anything is removed, and if removing fails partway the keys already removed are put back.
+    // Takes an array of string keys.
+    // Returns nothing.
+    Store.prototype.removeMany = function (keys) {
+        return whenReady(this, function () {
+            checkDeclared(this, keys, 'remove');
+            return then(this, changeMany(this, keys, function () {
+                return removeEntries(this, keys);
+            }.bind(this), {}), function () {
+                invalidate(this, keys);
+                keys.forEach(function (key) {
+                    publish(this, key, null);
+                }, this);
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Exports a snapshot of every value the store holds, for backups, debugging and support
+    // tickets. The snapshot is a plain object that survives JSON.stringify, recording which
+    // backend and transformer the values came from, and each value raw, as stored, with its
+    // metadata. Expired values are left out.
+    // Takes an optional object of options:
+    //   - raw: boolean, whether to include each value as stored. Defaults to true.
+    //   - parsed: boolean, whether to include each value parsed by the transformer, which is
+    //     easier to read but only survives JSON if the value does. Defaults to false.
+    // Returns the snapshot.
+    Store.prototype.export = function (opts) {
+        return whenReady(this, function () {
+            if (!(opts && typeof opts === 'object')) {
+                opts = {};
+            }
+            var include = { raw: opts.raw !== false, parsed: opts.parsed === true };
+            if (!(include.raw || include.parsed)) {
+                throw new TypeError('export must include raw or parsed values');
+            }
+
+            return then(this, currentKeys(this), function (keys) {
+                return then(this, series(this, keys, function (key) {
+                    return readCurrentEntry(this, key);
+                }.bind(this)), function (entries) {
+                    var items = keys.map(function (key, index) {
+                        return { key: key, entry: entries[index] };
+                    }).filter(function (item) {
+                        return !isMissing(item.entry.value) && !isExpired(item.entry);
+                    });
+                    return then(this, series(this, items, function (item) {
+                        return exportEntry(this, item.key, item.entry, include);
+                    }.bind(this)), function (exported) {
+                        return {
+                            format: SNAPSHOT_FORMAT,
+                            version: SNAPSHOT_VERSION,
+                            exportedAt: Date.now(),
+                            namespace: this.namespace,
+                            name: this.name,
+                            storeVersion: this.version,
+                            backend: describeBackend(this.backend),
+                            transformer: describeTransformer(this.transformer),
+                            entries: exported
+                        };
+                    }.bind(this));
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Imports a snapshot made by `export`, all or nothing. Every key in it must be declared, and
+    // every value must parse and pass its key's validator, before anything is written, and if
+    // writing fails partway the keys already written are put back. Values written by an older
+    // version of the store are migrated once they're in.
+    // Takes a snapshot, and an optional object of options:
+    //   - mode: 'merge' to leave the store's other values alone, or 'replace' to remove every
+    //     value that isn't in the snapshot. Defaults to 'merge'.
+    // Returns an array of the keys imported.
+    Store.prototype.import = function (snapshot, opts) {
+        return whenReady(this, function () {
+            if (!(opts && typeof opts === 'object')) {
+                opts = {};
+            }
+            var mode = opts.mode || 'merge';
+            if (mode !== 'merge' && mode !== 'replace') {
+                throw new TypeError('mode must be "merge" or "replace"');
+            }
+            checkSnapshot(snapshot);
+
+            var items = snapshot.entries.filter(function (item) {
+                return !isExpired({ meta: stringifyMeta(item.meta || {}) });
+            });
+            var keys = items.map(function (item) {
+                return item.key;
+            });
+            checkDeclared(this, keys, 'import');
+
+            return then(this, series(this, items, function (item) {
+                return importEntry(this, item);
+            }.bind(this)), function (imported) {
+                var current = (mode === 'replace' ? currentKeys(this) : []);
+                return then(this, current, function (current) {
+                    var removed = current.filter(function (key) {
+                        return keys.indexOf(key) === -1;
+                    });
+                    var changed = keys.concat(removed);
+                    var written = {};
+
+                    return then(this, changeMany(this, changed, function () {
+                        return then(this, setEntries(this, imported), function (result) {
+                            imported = result;
+                            imported.forEach(function (item) {
+                                written[item.key] = item.value;
+                            });
+                            return removeEntries(this, removed);
+                        }.bind(this));
+                    }.bind(this), written), function () {
+                        invalidate(this, changed);
+                        imported.forEach(function (item) {
+                            publish(this, item.key, item.entry);
+                        }, this);
+                        removed.forEach(function (key) {
+                            publish(this, key, null);
+                        }, this);
+                        return then(this, migrate(this), function () {
+                            return keys;
+                        });
+                    }.bind(this));
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Reads, transforms and writes the value at `key` while holding a lock on it, so that other
+    // tabs can't change it in between. The lock is a Web Lock where the browser supports them, and
+    // otherwise a lease taken out in localStorage, which expires after a few seconds in case the
+    // tab holding it closes.
+    // Takes a string key, a function that's called with the current value and returns the new
+    // value, or a promise for it, and the same options as `set`.
+    // Returns a promise for the new value, even for sync stores, because taking the lock is async.
+    Store.prototype.update = function (key, fn, opts) {
+        return lockKey(this, key, 'update', function () {
+            if (typeof fn !== 'function') {
+                throw new TypeError('update takes a function to transform the value');
+            }
+            return Promise.resolve(this.get(key)).then(fn).then(function (value) {
+                return this.set(key, value, opts);
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Sets the value at `key` to `next`, but only if the current value deeply equals `expected`.
+    // Like `update`, it holds a lock on the key while it does.
+    // Takes a string key, the expected value, the next value and the same options as `set`.
+    // Returns a promise for whether the value was set.
+    Store.prototype.compareAndSet = function (key, expected, next, opts) {
+        return lockKey(this, key, 'compare and set', function () {
+            return Promise.resolve(this.get(key)).then(function (value) {
+                if (!deepEqual(value, expected)) {
+                    return false;
+                }
+                return Promise.resolve(this.set(key, next, opts)).then(function () {
+                    return true;
+                });
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Destroys the store, releasing its keys so that other stores can declare them. Afterwards,
+    // every method of the store throws.
+    //
+    // Options:
+    //   - removeData: boolean. Also remove the values at the store's keys from the backend.
+    //     Defaults to false, leaving the data for the next store to declare the keys.
+    Store.prototype.destroy = function (opts) {
+        if (!(opts && typeof opts === 'object')) {
+            opts = {};
+        }
+
+        // Stop anything else using the store while it's being destroyed.
+        var ready = (this.async ? this.ready : null);
+        Object.keys(Store.prototype).forEach(function (name) {
+            if (typeof Store.prototype[name] === 'function') {
+                Object.defineProperty(this, name, {
+                    configurable: true,
+                    enumerable: false,
+                    value: destroyed
+                });
+            }
+        }.bind(this));
+
+        if (this.storageListener) {
+            root.removeEventListener('storage', this.storageListener);
+            delete this.storageListener;
+        }
+        delete this.listeners;
+        stopSync(this);
+
+        // The keys are only released once the data is gone, so that another store can't declare
+        // them and have its data removed. Otherwise, any writes a write-behind cache is holding
+        // back are written first.
+        var removeData = function () {
+            if (!opts.removeData) {
+                return flushPending(this);
+            }
+            stopCache(this);
+            return then(this, storedKeys(this, this.backend), function (keys) {
+                return series(this, keys, function (key) {
+                    return removeEntry(this, this.backend, key);
+                }.bind(this));
+            }.bind(this));
+        }.bind(this);
+
+        var release = function () {
+            stopCache(this);
+            releaseKeys(this);
+        }.bind(this);
+
+        // Even if removing the data fails, the store is still destroyed, so release the keys.
+        if (ready) {
+            return ready.then(removeData).then(release, function (e) {
+                release();
+                throw e;
+            });
         }
-        return this.backend.removeItem(key);
+        try {
+            removeData();
+        } finally {
+            release();
+        }
+    };
+
+    // Writes the values held back by a write-behind cache to the backend. If one fails, it and the
+    // rest are held back until the next flush.
+    // Returns nothing, but throws if a write fails.
+    Store.prototype.flush = function () {
+        return whenReady(this, function () {
+            return flushPending(this);
+        }.bind(this));
+    };
+
+    // Hands out access to some of the store's keys, so that other code can use them without being
+    // given the whole store. The view has the store's `get`, `set`, `remove`, `getMany`, `setMany`,
+    // `removeMany`, `on` and `off` methods, which throw for keys outside the view. The store itself
+    // can't be reached through the view.
+    // Takes an array of keys the store has declared, and options:
+    //   - readOnly: boolean. Make `set`, `remove`, `setMany` and `removeMany` throw, so the view
+    //     can only read and listen for changes. Defaults to false.
+    // Returns the view, which is frozen.
+    Store.prototype.view = function (keys, opts) {
+        if (!(opts && typeof opts === 'object')) {
+            opts = {};
+        }
+        checkDeclared(this, keys, 'view');
+        return createView(this, keys, !!opts.readOnly);
+    };
+
+    // Removes the value at `key`, so that the key's default is used again.
+    // Takes a string key.
+    // Returns the default value, or undefined if the key doesn't have one.
+    Store.prototype.reset = function (key) {
+        return whenReady(this, function () {
+            return then(this, this.remove(key), function () {
+                return defaultValue(this, key);
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Removes every expired value from the current backend. `get` never returns expired values
+    // anyway, but they'd otherwise sit in the backend taking up space until they were read.
+    // Returns an array of the keys that were removed.
+    Store.prototype.purgeExpired = function () {
+        return whenReady(this, function () {
+            return then(this, currentKeys(this), function (keys) {
+                return then(this, series(this, keys, function (key) {
+                    return then(this, readCurrentEntry(this, key), function (entry) {
+                        if (!isExpired(entry)) {
+                            return null;
+                        }
+                        return then(this, removeCurrentEntry(this, key), function () {
+                            return key;
+                        });
+                    }.bind(this));
+                }.bind(this)), function (keys) {
+                    return keys.filter(function (key) {
+                        return key !== null;
+                    });
+                });
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Lists the store's keys that have values in the backend, including the keys under its
+    // prefixes. Expired values don't count.
+    // Returns an array of keys.
+    Store.prototype.list = function () {
+        return whenReady(this, function () {
+            return then(this, currentKeys(this), function (keys) {
+                return then(this, series(this, keys, function (key) {
+                    return readCurrentEntry(this, key);
+                }.bind(this)), function (entries) {
+                    return keys.filter(function (key, index) {
+                        return !isMissing(entries[index].value) && !isExpired(entries[index]);
+                    });
+                });
+            }.bind(this));
+        }.bind(this));
     };
 
     // Declare the set of keys this store can access.
-    // Takes a single string key, or an array of string keys.
+    // Takes a single key, or an array of keys. A key is either a string, or an object describing
+    // the key with these properties:
+    //   - key: string, the key itself.
+    //   - prefix: string, in place of `key`, to declare every key that starts with it, like
+    //     'draft:' for 'draft:1', 'draft:2' and so on. Other stores can't declare keys or prefixes
+    //     that overlap it. Prefixes need a backend that can list its keys, like Storage.
+    //   - ttl: number of milliseconds that values set at the key live for, unless `set` is told
+    //     otherwise. Defaults to values never expiring.
+    //   - validate: function or schema that values at the key must pass. A function is called with
+    //     the value, and fails it by throwing or returning false or a string explaining why. A
+    //     schema is a JSON Schema-like object, supporting `type`, `enum`, `properties`, `required`,
+    //     `additionalProperties`, `items`, `minimum`, `maximum`, `minLength`, `maxLength` and
+    //     `pattern`.
+    //   - default: value that `get` returns when there isn't one stored. If it's a function, it's
+    //     called to create the default each time it's needed. Either way, the default is put
+    //     through the transformer's `stringify` and `parse`, so it looks like a stored value.
+    // Alternatively, takes an object mapping keys to their descriptions, without the `key`.
+    // Keys under `__multistore__:`, `__multistore_lock__:` and `__multistore_sync__:` are reserved
+    // for the store's metadata, locks and syncing, and can't be declared, even through a namespace.
     // Returns the resulting array of this store's keys.
     Store.prototype.setKeys = function (keys) {
         if (typeof keys === 'undefined') {
             keys = [];
         }
 
+        // Turn a map of keys to descriptions into an array of descriptions.
+        if (keys && typeof keys === 'object' && !Array.isArray(keys) &&
+            typeof keys.key !== 'string' && typeof keys.prefix !== 'string') {
+            keys = Object.keys(keys).map(function (key) {
+                return extend({ key: key }, keys[key]);
+            });
+        }
+
         if (!Array.isArray(keys)) {
             keys = [keys];
         }
 
-        // Remove the currently used keys from the key registry.
-        if (typeof this.keys !== 'undefined') {
-            this.keys.forEach(function (key) {
-                // The key registry is in scope of the constructor, but not exported.
-                delete __keyRegistry[key];
-            });
+        keys = keys.map(describeKey);
+        keys.forEach(function (descriptor) {
+            var reserved = reservedFor(descriptor);
+            if (reserved.length) {
+                throw new TypeError((isPrefix(descriptor) ? 'Prefix ' + descriptor.prefix :
+                                                            'Key ' + descriptor.key) +
+                                    ' overlaps ' + reserved[0] + ', which is reserved for ' +
+                                    'internal use');
+            }
+        });
+        if (this.backend && !canListKeys(this.backend) && keys.some(isPrefix)) {
+            throw new TypeError('Backends must be able to list their keys to use prefixes');
         }
 
-        // Define the "private" `keyMap` property. Every get and set checks if a key has been
-        // declared, so we optimize for that use by sticking them in a map.
-        Object.defineProperty(this, 'keyMap', {
-
-            // We should be able to redefine this property again, but it shouldn't show up in
-            // Object.keys.
-            configurable: true,
-            enumerable: false,
-
-            // Create the new value by reducing over the supplied keys.
-            value: keys.reduce(function (keyMap, key) {
-                if (typeof key !== 'string') {
-                    throw new TypeError('All keys must be strings');
-                }
+        // Remember where the keys were declared, to help track down clashes.
+        var declaredAt = callSite();
 
-                // If we own this key then it's fine for it already to have been declared, so we
-                // check to see if this key is already in use, but only throw if it's not us who's
-                // declared it.
-                var alreadyDeclaredKey = (keyMap[key] === key);
-                if (!this.canDeclare(key) && !alreadyDeclaredKey) {
-                    throw new Error('Attempting to declare already declared key: ' + key);
-                }
+        // If we own this key then it's fine for it already to have been declared, so we check to
+        // see if each key overlaps any already in use, but only throw if it's not us who's
+        // declared them. Every key is checked before the registries change, so that a clash
+        // doesn't leave some of the keys declared.
+        keys.forEach(function (descriptor) {
+            var owners = overlappingOwners(this, descriptor).filter(function (owner) {
+                return owner.store !== this;
+            }, this);
+            if (owners.length) {
+                throw new Error('Attempting to declare already declared ' +
+                                (isPrefix(descriptor) ? 'prefix: ' + descriptor.prefix :
+                                                        'key: ' + descriptor.key) +
+                                ' (' + describeOwner(owners[0], descriptor) + ')');
+            }
+        }, this);
 
-                // Save the key to the global key registry, and to our own key map.
-                __keyRegistry[key] = key;
-                keyMap[key] = key;
+        // Swap the currently used keys in the registries for the new ones, saving each key or
+        // prefix with its owner.
+        releaseKeys(this);
+        keys.forEach(function (descriptor) {
+            register(this, descriptor, declaredAt);
+        }, this);
 
-                return keyMap;
-            }.bind(this), {})
+        // Define the "private" `keyMap` and `prefixMap` properties. Every get and set checks if a
+        // key has been declared, so we optimize for that use by sticking them in maps. We should
+        // be able to redefine them again, but they shouldn't show up in Object.keys.
+        Object.defineProperty(this, 'keyMap', {
+            configurable: true,
+            enumerable: false,
+            value: mapDescriptors(keys, 'key')
+        });
+        Object.defineProperty(this, 'prefixMap', {
+            configurable: true,
+            enumerable: false,
+            value: mapDescriptors(keys, 'prefix')
         });
 
-        // Now define the public `keys` property, which is calculated from the `keyMap`. It's not
-        // writable, but it does show up in our key list.
+        // Now define the public `keys` and `prefixes` properties, which are calculated from the
+        // maps. They're not writable, but they do show up in our key list.
         Object.defineProperty(this, 'keys', {
             configurable: true,
             enumerable: true,
             writable: false,
             value: Object.keys(this.keyMap)
         });
+        Object.defineProperty(this, 'prefixes', {
+            configurable: true,
+            enumerable: true,
+            writable: false,
+            value: Object.keys(this.prefixMap)
+        });
 
         return this.keys;
     };
 
-    // Test if a supplied key is accessible by this store.
+    // Test if a supplied key is accessible by this store, either declared itself or under one of
+    // the store's prefixes.
     // Returns boolean.
     Store.prototype.hasDeclared = function (key) {
-        if (typeof this.keyMap !== 'object') return false;
-        return !!this.keyMap[key];
+        return !!descriptorOf(this, key);
     };
 
-    // Tests if supplied key is available for use by the store.
-    // Takes a keys
+    // Tests if supplied key is available for use by the store, taking its namespace into account.
+    // It isn't if any store, this one included, has declared it or a prefix it starts with, or if
+    // it's reserved for internal use.
+    // Takes a key, or an object with a `prefix`, which isn't available if any key or prefix that
+    // overlaps it has been declared.
+    // Returns boolean.
     Store.prototype.canDeclare = function (key) {
-        return !__keyRegistry[key];
+        var descriptor = describeKey(key);
+        return reservedFor(descriptor).length === 0 &&
+            overlappingOwners(this, descriptor).length === 0;
     };
 
     // Pick a usable backend for the store to use.
@@ -172,90 +948,2860 @@
     // It will iterate through the supplied backends until it finds one that passes the testBacked
     // tests. If it doesn't find a working backend, it will throw.
     // If switching from an existing backend, all the data will be copied over during the switch.
+    // The switch is all or nothing: the data is copied and checked before anything is removed from
+    // the old backend, and if anything goes wrong the new backend is put back the way it was and
+    // the store stays on the old backend.
     // Returns the new backend.
     Store.prototype.setBackend = function (backends) {
-        if (!Array.isArray(backends)) {
-            backends = [backends];
-        }
+        return whenReady(this, function () {
+            return switchBackend(this, backends);
+        }.bind(this));
+    };
 
-        // Pick the first usable backend from supplied list.
-        var newBackend;
-        backends.some(function (backend) {
-            // Support supplying strings like `local` and `session`.
-            if (Store.backendMap.hasOwnProperty(backend)) {
-                backend = Store.backendMap[backend];
+    // Test supplied backend, unsuring that it has neccessary methods and isn't  full.
+    // Takes an object, backend.
+    // Returns nothing, but throws on failure. Async stores return a promise instead, which rejects
+    // on failure.
+    Store.prototype.testBackend = function (backend) {
+        return run(this, function () {
+            // Check that the supplied backed supports these methods.
+            ['setItem', 'getItem', 'removeItem', 'clear'].forEach(function (methodName) {
+                if (typeof backend[methodName] !== 'function') {
+                    throw new TypeError('Backend missing method, "' + methodName + '"');
+                }
+            });
+            // An async backend would appear to work, but hand promises back to a sync store.
+            if (backend.async && !this.async) {
+                throw new TypeError('Async backends can only be used by async stores');
             }
-
-            try {
-                this.testBackend(backend);
-            } catch (e) {
-                return false;
+            // Keys under prefixes can only be found by listing the backend's keys.
+            if (this.prefixes.length > 0 && !canListKeys(backend)) {
+                throw new TypeError('Backends must be able to list their keys to use prefixes');
             }
+            // Try to set a value in the backend. If any of these throws, we know there's a problem.
+            var now = Date.now();
+            return then(this, backend.setItem(now, now), function () {
+                return then(this, backend.getItem(now), function () {
+                    return then(this, backend.removeItem(now), noop);
+                }.bind(this));
+            }.bind(this));
+        }.bind(this));
+    };
 
-            newBackend = backend;
+    // Set the store's transformer.
+    // Takes object with parse and stringify methods. Transformers whose methods return promises
+    // must say so with `async: true`, and can only be used by async stores.
+    // Returns nothing but throws if the transformer is missing the required methods.
+    Store.prototype.testTransformer = function (transformer) {
+        checkTransformer(transformer);
+        if (transformer.async && !this.async) {
+            throw new TypeError('Async transformers can only be used by async stores');
+        }
+    };
 
-            return true;
-        }.bind(this));
+    // In-memory backend implementing the same interface as localStorage. The data only lives as
+    // long as the page does, but it's always available, so it makes a good last resort in a backend
+    // list. A shared instance is available as the `memory` backend.
+    //
+    // Options:
+    //   - quota: number of bytes the backend will hold before `setItem` throws a
+    //     QuotaExceededError. Keys and values are counted as UTF-16, like browsers do for
+    //     localStorage. Defaults to no limit.
+    function MemoryStorage(opts) {
+        if (!(opts && typeof opts === 'object')) {
+            opts = {};
+        }
 
-        if (!newBackend) {
-            throw new TypeError('No usable backends could be found');
+        if (typeof opts.quota !== 'undefined' &&
+            !(typeof opts.quota === 'number' && opts.quota >= 0)) {
+            throw new TypeError('Memory backend quota must be a non-negative number');
         }
 
-        // Save data to be copied over when switching backend.
-        var copyData = [];
-        if (this.backend) {
-            copyData = this.keys.map(function (key) {
-                var value = this.get(key);
-                // Don't leave the data lying around!
-                this.remove(key);
-                return [key, value];
-            }.bind(this));
+        this.quota = (typeof opts.quota === 'number' ? opts.quota : Infinity);
+
+        // The data itself is kept off the enumerable properties, so that it can only be reached
+        // through the Storage methods.
+        Object.defineProperty(this, 'data', {
+            configurable: false,
+            enumerable: false,
+            writable: true,
+            value: Object.create(null)
+        });
+    }
+
+    // Number of items in the backend, as with Storage#length.
+    Object.defineProperty(MemoryStorage.prototype, 'length', {
+        get: function () {
+            return Object.keys(this.data).length;
         }
+    });
 
-        this.backend = newBackend;
+    // Number of bytes currently used by the backend.
+    Object.defineProperty(MemoryStorage.prototype, 'bytesUsed', {
+        get: function () {
+            return Object.keys(this.data).reduce(function (total, key) {
+                return total + byteSize(key, this.data[key]);
+            }.bind(this), 0);
+        }
+    });
 
-        // Copy data back into the new backend.
-        copyData.forEach(function (tuple) {
-            this.set.apply(this, tuple);
-        }.bind(this));
+    // Sets `value` at `key`. Both are coerced to strings, as with Storage#setItem. Throws a
+    // QuotaExceededError, and leaves the existing value alone, if the write would exceed the quota.
+    MemoryStorage.prototype.setItem = function (key, value) {
+        key = String(key);
+        value = String(value);
+        var existing = (key in this.data ? byteSize(key, this.data[key]) : 0);
+        if (this.bytesUsed - existing + byteSize(key, value) > this.quota) {
+            throw quotaExceededError();
+        }
+        this.data[key] = value;
+    };
 
-        return this.backend;
+    // Gets the value at `key`, or null if there isn't one.
+    MemoryStorage.prototype.getItem = function (key) {
+        key = String(key);
+        return (key in this.data ? this.data[key] : null);
     };
 
-    // Test supplied backend, unsuring that it has neccessary methods and isn't  full.
-    // Takes an object, backend.
-    // Returns nothing, but throws on failure.
-    Store.prototype.testBackend = function (backend) {
-        // Check that the supplied backed supports these methods.
-        ['setItem', 'getItem', 'removeItem', 'clear'].forEach(function (methodName) {
-            if (typeof backend[methodName] !== 'function') {
-                throw new TypeError('Backend missing method, "' + methodName + '"');
-            }
-        });
-        // Try to set a value in the backend. If any of these throws, we know there's a problem.
-        var now = Date.now();
-        backend.setItem(now, now);
-        backend.getItem(now);
-        backend.removeItem(now);
+    // Removes the value at `key`.
+    MemoryStorage.prototype.removeItem = function (key) {
+        delete this.data[String(key)];
     };
 
-    // Set the store's transformer.
-    // Takes object with parse and stringify methods.
-    // Returns nothing but throws if the transformer is missing the required methods.
-    Store.prototype.testTransformer = function (transformer) {
+    // Removes everything.
+    MemoryStorage.prototype.clear = function () {
+        this.data = Object.create(null);
+    };
+
+    // Gets the name of the nth key, or null if there isn't one.
+    MemoryStorage.prototype.key = function (index) {
+        var key = Object.keys(this.data)[index];
+        return (typeof key === 'undefined' ? null : key);
+    };
+
+    Store.MemoryStorage = MemoryStorage;
+
+    // Async backend that keeps data in IndexedDB, which allows for far more data than localStorage.
+    // Every method returns a promise, so it can only be used by async stores. Unlike Storage,
+    // values are stored as they are, without being coerced to strings. A shared instance is
+    // available as the `indexeddb` backend. The database is only opened when the backend is first
+    // used.
+    //
+    // Options:
+    //   - name: string, name of the database. Defaults to 'multistore'.
+    //   - storeName: string, name of the object store within the database. Defaults to 'store'.
+    function IndexedDBStorage(opts) {
+        if (!(opts && typeof opts === 'object')) {
+            opts = {};
+        }
+        this.name = opts.name || 'multistore';
+        this.storeName = opts.storeName || 'store';
+        this.db = null;
+    }
+
+    // Flags the backend as async, for testBackend.
+    IndexedDBStorage.prototype.async = true;
+
+    // Open the database, creating the object store if needed. Other connections to the database
+    // are closed when it's upgraded, so that backends with other object stores can add theirs.
+    // Returns a promise for the database, which is reused by later calls.
+    IndexedDBStorage.prototype.open = function () {
+        if (!this.db) {
+            var db = this.db = openDatabase(this.name, this.storeName).then(function (connection) {
+                connection.onversionchange = function () {
+                    connection.close();
+                    if (this.db === db) {
+                        this.db = null;
+                    }
+                }.bind(this);
+                return connection;
+            }.bind(this));
+
+            // Don't hang on to a failure, so that the next call can try again.
+            this.db.then(null, function () {
+                if (this.db === db) {
+                    this.db = null;
+                }
+            }.bind(this));
+        }
+        return this.db;
+    };
+
+    // Open the IndexedDB database called `name`, at `version` if given, making sure it has the
+    // object store called `storeName`. Object stores can only be created while upgrading, so if
+    // the database already exists without it, it's opened again at the next version.
+    // Returns a promise for the database.
+    function openDatabase(name, storeName, version) {
+        return new Promise(function (resolve, reject) {
+            var indexedDB = getGlobal('indexedDB');
+            if (!indexedDB) {
+                throw new Error('IndexedDB is not available');
+            }
+            var request = (typeof version === 'undefined' ?
+                indexedDB.open(name) : indexedDB.open(name, version));
+            var blocked = false;
+            request.onupgradeneeded = function () {
+                if (!request.result.objectStoreNames.contains(storeName)) {
+                    request.result.createObjectStore(storeName);
+                }
+            };
+            request.onsuccess = function () {
+                var db = request.result;
+                if (blocked) {
+                    // Too late, the promise has already been rejected.
+                    db.close();
+                } else if (db.objectStoreNames.contains(storeName)) {
+                    resolve(db);
+                } else {
+                    db.close();
+                    resolve(openDatabase(name, storeName, db.version + 1));
+                }
+            };
+            request.onerror = function () {
+                // Someone else upgraded the database first, so open whatever version it's at now.
+                if (request.error && request.error.name === 'VersionError') {
+                    resolve(openDatabase(name, storeName));
+                } else {
+                    reject(request.error);
+                }
+            };
+            request.onblocked = function () {
+                blocked = true;
+                reject(new Error('Failed to upgrade IndexedDB database ' + name + ' to add ' +
+                    'object store ' + storeName + ': another connection to it is still open'));
+            };
+        });
+    }
+
+    // Run `fn` against the object store in a transaction with the given `mode`. `fn` should return
+    // an IDBRequest.
+    // Returns a promise for the request's result, which resolves once the transaction completes.
+    IndexedDBStorage.prototype.transaction = function (mode, fn) {
+        return this.open().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var transaction = db.transaction(this.storeName, mode);
+                var request = fn(transaction.objectStore(this.storeName));
+                transaction.oncomplete = function () {
+                    resolve(request.result);
+                };
+                transaction.onerror = transaction.onabort = function () {
+                    reject(transaction.error || request.error);
+                };
+            }.bind(this));
+        }.bind(this));
+    };
+
+    // Sets `value` at `key`. The key is coerced to a string.
+    IndexedDBStorage.prototype.setItem = function (key, value) {
+        return this.transaction('readwrite', function (store) {
+            return store.put(value, String(key));
+        }).then(noop);
+    };
+
+    // Gets the value at `key`, or null if there isn't one.
+    IndexedDBStorage.prototype.getItem = function (key) {
+        return this.transaction('readonly', function (store) {
+            return store.get(String(key));
+        }).then(function (value) {
+            return (typeof value === 'undefined' ? null : value);
+        });
+    };
+
+    // Removes the value at `key`.
+    IndexedDBStorage.prototype.removeItem = function (key) {
+        return this.transaction('readwrite', function (store) {
+            return store.delete(String(key));
+        }).then(noop);
+    };
+
+    // Removes everything.
+    IndexedDBStorage.prototype.clear = function () {
+        return this.transaction('readwrite', function (store) {
+            return store.clear();
+        }).then(noop);
+    };
+
+    // Gets the names of every key.
+    IndexedDBStorage.prototype.keys = function () {
+        return this.transaction('readonly', function (store) {
+            return store.getAllKeys();
+        });
+    };
+
+    Store.IndexedDBStorage = IndexedDBStorage;
+
+    // Utility methods for use in the default transformer.
+    function pass(v) {return v;}
+
+    function noop() {}
+
+    // ## Sync and async
+    //
+    // The internals are written once against these helpers, which call straight through for sync
+    // stores and chain promises for async ones.
+
+    // Call `fn`. Async stores return a promise for the result, so that anything thrown becomes a
+    // rejection.
+    function run(store, fn) {
+        if (store.async) {
+            return new Promise(function (resolve) {
+                resolve(fn());
+            });
+        }
+        return fn();
+    }
+
+    // Call `fn` once the store is ready. Sync stores are always ready.
+    function whenReady(store, fn) {
+        if (store.async) {
+            return store.ready.then(function () {
+                return fn();
+            });
+        }
+        return fn();
+    }
+
+    // Call `fn` with `value`. Async stores wait for `value` to resolve first.
+    function then(store, value, fn) {
+        if (store.async) {
+            return Promise.resolve(value).then(fn);
+        }
+        return fn(value);
+    }
+
+    // Call `fn`, handing anything it throws (or rejects with) to `onError`.
+    function attempt(store, fn, onError) {
+        if (store.async) {
+            return run(store, fn).then(null, onError);
+        }
+        try {
+            return fn();
+        } catch (e) {
+            return onError(e);
+        }
+    }
+
+    // Call `fn` with each item in `list` in turn, waiting for each call to finish before starting
+    // the next. Returns the array of results.
+    function series(store, list, fn) {
+        return list.reduce(function (results, item) {
+            return then(store, results, function (results) {
+                return then(store, fn(item), function (result) {
+                    results.push(result);
+                    return results;
+                });
+            });
+        }, (store.async ? Promise.resolve([]) : []));
+    }
+
+    // ## Entries
+    //
+    // Each value is stored at its key, and any metadata about it, such as when it expires, is
+    // stored as JSON at the key with META_PREFIX in front. Keeping the metadata out of the value
+    // means it works with any transformer. An entry is an object holding both, raw:
+    // `{value, meta}`. Either may be null.
+    var META_PREFIX = '__multistore__:';
+
+    // Key that the metadata for the physical `key` is stored at.
+    function metaKey(key) {
+        return META_PREFIX + key;
+    }
+
+    // Key that the store's `key` is actually stored at in the backend, which includes the
+    // namespace.
+    function physicalKey(store, key) {
+        if (typeof store.namespace === 'undefined') {
+            return key;
+        }
+        return store.namespace + ':' + key;
+    }
+
+    // Reverse of physicalKey. Returns null if the physical `key` is outside the store's namespace.
+    function logicalKey(store, key) {
+        if (typeof store.namespace === 'undefined') {
+            return key;
+        }
+        var prefix = store.namespace + ':';
+        if (typeof key !== 'string' || key.indexOf(prefix) !== 0) {
+            return null;
+        }
+        return key.slice(prefix.length);
+    }
+
+    // Reads the entry at the store's `key` from `backend`.
+    function readEntry(store, backend, key) {
+        key = physicalKey(store, key);
+        return then(store, backend.getItem(key), function (value) {
+            return then(store, backend.getItem(metaKey(key)), function (meta) {
+                return { value: value, meta: meta };
+            });
+        });
+    }
+
+    // Writes `entry` to the store's `key` in `backend`. Whatever is null in the entry is removed.
+    // The metadata is written first, and put back if the value can't be written, so that a value
+    // is never left with the wrong metadata, like a missing expiry.
+    function writeEntry(store, backend, key, entry) {
+        key = physicalKey(store, key);
+        return then(store, backend.getItem(metaKey(key)), function (meta) {
+            return then(store, writeItem(backend, metaKey(key), entry.meta), function () {
+                return attempt(store, function () {
+                    return writeItem(backend, key, entry.value);
+                }, function (e) {
+                    return then(store, writeItem(backend, metaKey(key), meta), function () {
+                        throw e;
+                    });
+                });
+            });
+        });
+    }
+
+    // Removes the entry at the store's `key` from `backend`.
+    // Returns whatever the backend's removeItem implementation returns for the value.
+    function removeEntry(store, backend, key) {
+        key = physicalKey(store, key);
+        return then(store, backend.removeItem(key), function (result) {
+            return then(store, backend.removeItem(metaKey(key)), function () {
+                return result;
+            });
+        });
+    }
+
+    // Creates the entry to store for `value` at `key`, with metadata, checking the value with the
+    // key's validator and putting it through the transformer. Takes the same options as `set`.
+    function createEntry(store, key, value, opts) {
+        if (!(opts && typeof opts === 'object')) {
+            opts = {};
+        }
+
+        var ttl = (typeof opts.ttl !== 'undefined' ? opts.ttl : descriptorOf(store, key).ttl);
+        checkTTL(ttl);
+
+        var meta = {};
+        if (typeof ttl !== 'undefined') {
+            meta.expires = Date.now() + ttl;
+        }
+        if (typeof store.version !== 'undefined') {
+            meta.version = store.version;
+        }
+
+        // Check the value before it goes anywhere near the backend.
+        validate(store, key, value);
+
+        return then(store, store.transformer.stringify(value), function (stringified) {
+            return {
+                value: stringified,
+                meta: stringifyMeta(meta)
+            };
+        });
+    }
+
+    // Reads the entries at `keys` from `backend`, so that they can be put back with writeEntries.
+    // Returns an array of `{key, entry}` objects.
+    function snapshotEntries(store, backend, keys) {
+        return series(store, keys, function (key) {
+            return then(store, readEntry(store, backend, key), function (entry) {
+                return { key: key, entry: entry };
+            });
+        });
+    }
+
+    // Writes an array of `{key, entry}` objects, like those from snapshotEntries, to `backend`.
+    function writeEntries(store, backend, items) {
+        return series(store, items, function (item) {
+            return writeEntry(store, backend, item.key, item.entry);
+        });
+    }
+
+    // Call `fn`, which changes the entries at `keys` in `backend`. If it throws, the entries are
+    // restored to how they were before, and the error is rethrown. If restoring them fails too,
+    // that error is attached to the original as `rollbackError`. A null `backend` means the
+    // store's current backend, which `fn` may fail over to another, taking the entries with it.
+    function rollbackOnError(store, backend, keys, fn) {
+        var entries = snapshotEntries(store, backend || store.backend, keys);
+        return then(store, entries, function (snapshot) {
+            return attempt(store, fn, function (e) {
+                return then(store, attempt(store, function () {
+                    return writeEntries(store, backend || store.backend, snapshot);
+                }, function (rollbackError) {
+                    try {
+                        e.rollbackError = rollbackError;
+                    } catch (ignore) {}
+                }), function () {
+                    throw e;
+                });
+            });
+        });
+    }
+
+    // Call `fn`, which changes the values at `keys` in the current backend, rolling them all back
+    // if it fails. Once it succeeds, change events are fired for each key, with the new value from
+    // `newValues`, an object that's missing any keys that were removed.
+    function changeMany(store, keys, fn, newValues) {
+        return then(store, series(store, keys, function (key) {
+            return readOldValue(store, key);
+        }), function (oldValues) {
+            return then(store, rollbackOnError(store, null, keys, fn), function () {
+                keys.forEach(function (key, index) {
+                    emitChange(store, key, oldValues[index], newValues[key], 'store');
+                });
+            });
+        });
+    }
+
+    // Sets each of `items`, `{key, value, entry}`, in turn, for the batch methods. Each goes
+    // through the store's middleware, like `set`, and follows its onQuotaExceeded policy. If
+    // middleware passes a different value on, a new entry is created for it with `opts`, as `set`
+    // takes.
+    // Returns the items as they were actually written.
+    function setEntries(store, items, opts) {
+        return series(store, items, function (item) {
+            var written;
+            return then(store, intercept(store, 'set', item.key, item.value, function (value) {
+                var entry = (value === item.value ? item.entry :
+                                                    createEntry(store, item.key, value, opts));
+                return then(store, entry, function (entry) {
+                    written = { key: item.key, value: value, entry: entry };
+                    return then(store, writeWithQuota(store, item.key, value, entry), function () {
+                        return value;
+                    });
+                });
+            }), function () {
+                return written;
+            });
+        });
+    }
+
+    // Removes the entries at `keys` in turn, through the store's middleware, for the batch methods.
+    function removeEntries(store, keys) {
+        return series(store, keys, function (key) {
+            return intercept(store, 'remove', key, undefined, function () {
+                return removeEntry(store, store.backend, key);
+            });
+        });
+    }
+
+    // Copies the entries at `keys` from one backend to another, raw, so that they don't go through
+    // the transformer again. Every entry is read back from the new backend to check it arrived
+    // intact. If anything fails, the new backend is restored and the error is thrown. The old
+    // backend is left alone.
+    function copyEntries(store, keys, fromBackend, toBackend) {
+        return then(store, snapshotEntries(store, fromBackend, keys), function (copyData) {
+            return rollbackOnError(store, toBackend, keys, function () {
+                return then(store, writeEntries(store, toBackend, copyData), function () {
+                    return series(store, copyData, function (item) {
+                        return then(store, readEntry(store, toBackend, item.key), function (entry) {
+                            if (!sameRaw(entry.value, item.entry.value) ||
+                                !sameRaw(entry.meta, item.entry.meta)) {
+                                throw new Error('Failed to verify data copied to the new backend ' +
+                                    'at key: ' + item.key);
+                            }
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    // Test if two raw values from backends are the same. Storage coerces values to strings, so
+    // primitives are compared as strings, and objects, which IndexedDB stores as they are, by
+    // their JSON.
+    function sameRaw(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (isMissing(a) || isMissing(b)) {
+            return isMissing(a) && isMissing(b);
+        }
+        if (typeof a === 'object' || typeof b === 'object') {
+            return (typeof a === typeof b && JSON.stringify(a) === JSON.stringify(b));
+        }
+        return String(a) === String(b);
+    }
+
+    // Sets `value` at `key` in `backend`, or removes it if it's null.
+    function writeItem(backend, key, value) {
+        if (isMissing(value)) {
+            return backend.removeItem(key);
+        }
+        return backend.setItem(key, value);
+    }
+
+    // Test if a raw value from a backend means there's nothing there.
+    function isMissing(value) {
+        return (value === null || typeof value === 'undefined');
+    }
+
+    // Parses the metadata of an entry. Returns an object, which is empty if there's no metadata.
+    function parseMeta(entry) {
+        if (isMissing(entry.meta)) {
+            return {};
+        }
+        return JSON.parse(entry.meta);
+    }
+
+    // Stringifies metadata for an entry. Returns null if there's nothing worth storing.
+    function stringifyMeta(meta) {
+        if (Object.keys(meta).length === 0) {
+            return null;
+        }
+        return JSON.stringify(meta);
+    }
+
+    // Test if an entry has expired.
+    function isExpired(entry) {
+        var meta = parseMeta(entry);
+        return (typeof meta.expires === 'number' && meta.expires <= Date.now());
+    }
+
+    // Normalise a key supplied to setKeys into an object describing it.
+    function describeKey(key) {
+        if (typeof key === 'string') {
+            key = { key: key };
+        }
+        if (!(key && typeof key === 'object' &&
+              (isPrefix(key) ? typeof key.prefix === 'string' && key.prefix.length > 0 &&
+                               typeof key.key === 'undefined' :
+                               typeof key.key === 'string'))) {
+            throw new TypeError('All keys must be strings, or objects with a string key or ' +
+                                'non-empty prefix');
+        }
+        checkTTL(key.ttl);
+        if (typeof key.validate !== 'undefined' &&
+            !(typeof key.validate === 'function' ||
+              (key.validate && typeof key.validate === 'object'))) {
+            throw new TypeError('Validator for ' + (isPrefix(key) ? 'prefix ' + key.prefix :
+                                                                    'key ' + key.key) +
+                                ' must be a function or schema');
+        }
+        if (isPrefix(key)) {
+            return {
+                prefix: key.prefix,
+                ttl: key.ttl,
+                validate: key.validate,
+                default: key.default
+            };
+        }
+        return {
+            key: key.key,
+            ttl: key.ttl,
+            validate: key.validate,
+            default: key.default
+        };
+    }
+
+    // Test if `descriptor` describes a prefix, rather than a single key.
+    function isPrefix(descriptor) {
+        return (typeof descriptor.prefix !== 'undefined');
+    }
+
+    // Map each key, or prefix, to its descriptor, for the descriptors that have one.
+    function mapDescriptors(descriptors, property) {
+        return descriptors.reduce(function (map, descriptor) {
+            if (typeof descriptor[property] === 'string') {
+                map[descriptor[property]] = descriptor;
+            }
+            return map;
+        }, {});
+    }
+
+    // Descriptor for `key`: the store's own, or that of the longest of its prefixes the key starts
+    // with. Returns undefined if the store hasn't declared the key.
+    function descriptorOf(store, key) {
+        if (typeof store.keyMap !== 'object') {
+            return undefined;
+        }
+        if (Object.prototype.hasOwnProperty.call(store.keyMap, key)) {
+            return store.keyMap[key];
+        }
+        var prefix = longestPrefix(store.prefixes, key);
+        return (prefix === null ? undefined : store.prefixMap[prefix]);
+    }
+
+    // Longest of `prefixes` that `key` starts with, or null if there isn't one.
+    function longestPrefix(prefixes, key) {
+        return prefixes.reduce(function (longest, prefix) {
+            if (startsWith(key, prefix) && (longest === null || prefix.length > longest.length)) {
+                return prefix;
+            }
+            return longest;
+        }, null);
+    }
+
+    function startsWith(string, prefix) {
+        return typeof string === 'string' && string.indexOf(prefix) === 0;
+    }
+
+    // Every key of the store's that might have a value in `backend`: the keys it declared, and
+    // the keys in the backend under its prefixes. Async stores return a promise.
+    function storedKeys(store, backend) {
+        if (store.prefixes.length === 0) {
+            return then(store, store.keys, pass);
+        }
+        return then(store, listKeys(backend), function (physicalKeys) {
+            return store.keys.concat(physicalKeys.map(function (physical) {
+                return (startsWith(physical, META_PREFIX) ? null : logicalKey(store, physical));
+            }).filter(function (key) {
+                return key !== null && !Object.prototype.hasOwnProperty.call(store.keyMap, key) &&
+                    longestPrefix(store.prefixes, key) !== null;
+            }));
+        });
+    }
+
+    // Owners of the keys and prefixes in the registries that overlap the key or prefix described
+    // by `descriptor`. A key overlaps the same key and any prefix it starts with. A prefix also
+    // overlaps any keys and prefixes that start with it.
+    function overlappingOwners(store, descriptor) {
+        var declared = physicalKey(store, (isPrefix(descriptor) ? descriptor.prefix :
+                                                                  descriptor.key));
+        var owners = [];
+        if (isPrefix(descriptor)) {
+            Object.keys(__keyRegistry).forEach(function (key) {
+                if (startsWith(key, declared)) {
+                    owners.push(__keyRegistry[key]);
+                }
+            });
+        } else if (Object.prototype.hasOwnProperty.call(__keyRegistry, declared)) {
+            owners.push(__keyRegistry[declared]);
+        }
+        Object.keys(__prefixRegistry).forEach(function (prefix) {
+            if (startsWith(declared, prefix) ||
+                (isPrefix(descriptor) && startsWith(prefix, declared))) {
+                owners.push(__prefixRegistry[prefix]);
+            }
+        });
+        // A namespace can put a key that's fine on its own under a reserved prefix.
+        reservedOverlaps(declared, isPrefix(descriptor)).forEach(function (prefix) {
+            owners.push({ prefix: prefix, store: null });
+        });
+        return owners;
+    }
+
+    // Prefixes that the store keeps its own data under, like metadata and lock leases, which
+    // overlap the key or prefix `declared`. A prefix also overlaps any that start with it.
+    function reservedOverlaps(declared, prefix) {
+        return [META_PREFIX, LOCK_PREFIX, SYNC_PREFIX].filter(function (reserved) {
+            return startsWith(declared, reserved) || (prefix && startsWith(reserved, declared));
+        });
+    }
+
+    // Reserved prefixes that the key or prefix described by `descriptor` overlaps, whatever the
+    // store's namespace.
+    function reservedFor(descriptor) {
+        return reservedOverlaps((isPrefix(descriptor) ? descriptor.prefix : descriptor.key),
+                                isPrefix(descriptor));
+    }
+
+    // Save the key or prefix described by `descriptor` to the right registry, owned by `store`.
+    function register(store, descriptor, declaredAt) {
+        if (isPrefix(descriptor)) {
+            __prefixRegistry[physicalKey(store, descriptor.prefix)] = {
+                prefix: descriptor.prefix,
+                store: store,
+                declaredAt: declaredAt
+            };
+        } else {
+            __keyRegistry[physicalKey(store, descriptor.key)] = {
+                key: descriptor.key,
+                store: store,
+                declaredAt: declaredAt
+            };
+        }
+    }
+
+    // Test if `key` was declared with a default.
+    function hasDefault(store, key) {
+        return (typeof descriptorOf(store, key).default !== 'undefined');
+    }
+
+    // Creates the default value for `key`, put through the transformer so that it's consistent with
+    // stored values. Returns undefined if there's no default.
+    function defaultValue(store, key) {
+        if (!hasDefault(store, key)) {
+            return undefined;
+        }
+        var value = descriptorOf(store, key).default;
+        if (typeof value === 'function') {
+            value = value(key);
+        }
+        return then(store, store.transformer.stringify(value), function (stringified) {
+            return store.transformer.parse(stringified);
+        });
+    }
+
+    // Removes the store's keys from the key registry.
+    function releaseKeys(store) {
+        if (typeof store.keys === 'undefined') {
+            return;
+        }
+        // The registries are in scope of the constructor, but not exported.
+        store.keys.forEach(function (key) {
+            delete __keyRegistry[physicalKey(store, key)];
+        });
+        store.prefixes.forEach(function (prefix) {
+            delete __prefixRegistry[physicalKey(store, prefix)];
+        });
+    }
+
+    // Describes the owner of a key or prefix for Store.registry. `size` is called with the
+    // backend to measure the bytes used, for sync stores that have a backend.
+    function describeRegistration(owner, size) {
+        var backend = owner.store.backend;
+        return Object.freeze({
+            key: owner.key,
+            prefix: owner.prefix,
+            namespace: owner.store.namespace,
+            name: owner.store.name,
+            declaredAt: owner.declaredAt,
+            backend: backendName(backend),
+            bytes: (owner.store.async ? null : (backend ? size(backend) : 0))
+        });
+    }
+
+    // Describes the owner of a key or prefix in the registries that overlaps `descriptor`, for
+    // error messages.
+    function describeOwner(owner, descriptor) {
+        if (!owner.store) {
+            return 'reserved for internal use as prefix ' + owner.prefix;
+        }
+        var description = 'declared by ' +
+            (typeof owner.store.name === 'undefined' ? 'an unnamed store' :
+                                                       'store "' + owner.store.name + '"');
+        if (typeof owner.prefix === 'string') {
+            description += ' as prefix ' + owner.prefix;
+        } else if (owner.key !== descriptor.key) {
+            description += ' as key ' + owner.key;
+        }
+        if (owner.declaredAt) {
+            description += ' at ' + owner.declaredAt;
+        }
+        return description;
+    }
+
+    // Finds the line of code outside this file that called into it, from the stack trace.
+    // Returns the line, trimmed, or undefined if the browser doesn't provide a stack.
+    function callSite() {
+        var stack = new Error().stack;
+        if (typeof stack !== 'string') {
+            return undefined;
+        }
+        // Every frame has a `file:line:column` location. The first is this function's, so any
+        // frame from another file is outside the library.
+        var frames = stack.split('\n').filter(function (frame) {
+            return /:\d+:\d+\)?\s*$/.test(frame);
+        });
+        var file = fileOf(frames[0]);
+        for (var i = 1; i < frames.length; i++) {
+            if (fileOf(frames[i]) !== file) {
+                return frames[i].trim().replace(/^at /, '');
+            }
+        }
+        return undefined;
+    }
+
+    // File part of a stack frame's location.
+    function fileOf(frame) {
+        var match = /([^\s(@]+):\d+:\d+\)?\s*$/.exec(frame || '');
+        return match && match[1];
+    }
+
+    // Name of `backend` in Store.backendMap, or the backend itself if it's not there.
+    function backendName(backend) {
+        var names = Object.keys(Store.backendMap).filter(function (name) {
+            return Store.backendMap[name] === backend;
+        });
+        return names.length ? names[0] : backend;
+    }
+
+    // Approximate number of bytes the value and metadata at the physical `key` take up in
+    // `backend`.
+    function entrySize(backend, key) {
+        return [key, metaKey(key)].reduce(function (bytes, key) {
+            var raw = backend.getItem(key);
+            return isMissing(raw) ? bytes : bytes + byteSize(key, raw);
+        }, 0);
+    }
+
+    // Names of every key in `backend`, or a promise for them from async backends.
+    function listKeys(backend) {
+        if (!canListKeys(backend)) {
+            throw new TypeError('Backend must list its keys with `keys`, or `length` and `key`');
+        }
+        if (typeof backend.keys === 'function') {
+            return backend.keys();
+        }
+        var keys = [];
+        for (var i = 0; i < backend.length; i++) {
+            keys.push(backend.key(i));
+        }
+        return keys;
+    }
+
+    // Test if `backend` can list its keys, with a `keys` method, or `length` and `key`.
+    function canListKeys(backend) {
+        return !!backend && (typeof backend.keys === 'function' ||
+                             (typeof backend.length === 'number' &&
+                              typeof backend.key === 'function'));
+    }
+
+    // Find the orphans among `keys` in `backend`, for Store.findOrphans. Metadata belongs to the
+    // value at the same key, so they're orphaned together and listed as one. Lock leases and
+    // relayed messages aren't declared by any store, but are in use, so they're never orphans.
+    function findOrphans(backend, keys) {
+        keys = keys.filter(function (key) {
+            return key.indexOf(LOCK_PREFIX) !== 0 && key.indexOf(SYNC_PREFIX) !== 0 &&
+                !isRegistered(valueKey(key));
+        });
+        return then(backend, series(backend, keys, function (key) {
+            return backend.getItem(key);
+        }), function (values) {
+            var orphans = [];
+            var byKey = Object.create(null);
+            keys.forEach(function (key, index) {
+                var orphan = byKey[valueKey(key)];
+                if (!orphan) {
+                    orphan = byKey[valueKey(key)] = { key: valueKey(key), bytes: 0 };
+                    orphans.push(orphan);
+                }
+                if (!isMissing(values[index])) {
+                    orphan.bytes += byteSize(key, values[index]);
+                }
+            });
+            return orphans;
+        });
+    }
+
+    // Key of the value that the physical `key` holds, or holds the metadata for.
+    function valueKey(key) {
+        return (key.indexOf(META_PREFIX) === 0 ? key.slice(META_PREFIX.length) : key);
+    }
+
+    // Test if any store has declared the physical `key`, or a prefix it starts with.
+    function isRegistered(key) {
+        return Object.prototype.hasOwnProperty.call(__keyRegistry, key) ||
+            longestPrefix(Object.keys(__prefixRegistry), key) !== null;
+    }
+
+    // Test if `key` matches any of the keys and RegExps in `allow`.
+    function isAllowed(allow, key) {
+        return allow.some(function (allowed) {
+            return (allowed instanceof RegExp ? allowed.test(key) : allowed === key);
+        });
+    }
+
+    // Stands in for every method of a destroyed store.
+    function destroyed() {
+        throw new Error('Attempting to use a destroyed store');
+    }
+
+    // Throws unless `keys` is an array of keys the store has declared. `verb` describes what was
+    // being attempted, for the error message.
+    function checkDeclared(store, keys, verb) {
+        if (!Array.isArray(keys)) {
+            throw new TypeError('Expected an array of keys');
+        }
+        keys.forEach(function (key) {
+            if (!store.hasDeclared(key)) {
+                throw new Error('Attempting to ' + verb + ' undeclared key: ' + key);
+            }
+        });
+    }
+
+    // Creates an object mapping each of `keys` to the value at the same index in `values`.
+    function zip(keys, values) {
+        return keys.reduce(function (result, key, index) {
+            result[key] = values[index];
+            return result;
+        }, {});
+    }
+
+    // Copies the properties of `source` onto `target`, if it's an object.
+    // Returns `target`.
+    function extend(target, source) {
+        if (source && typeof source === 'object') {
+            Object.keys(source).forEach(function (name) {
+                target[name] = source[name];
+            });
+        }
+        return target;
+    }
+
+    // Throws if `ttl` isn't a valid number of milliseconds. Undefined is fine, meaning no expiry.
+    function checkTTL(ttl) {
+        if (typeof ttl !== 'undefined' && !(typeof ttl === 'number' && ttl > 0)) {
+            throw new TypeError('TTL must be a positive number of milliseconds');
+        }
+    }
+
+    // ## Events
+
+    // Throws unless `name` is a supported event and `handler` is a function.
+    function checkEvent(name, handler) {
+        if (name !== 'change') {
+            throw new TypeError('Unknown event: ' + name);
+        }
+        if (typeof handler !== 'function') {
+            throw new TypeError('Event handler must be a function');
+        }
+    }
+
+    // Gets the store's map of keys to arrays of change handlers, creating it if needed.
+    function getListeners(store) {
+        if (!store.listeners) {
+            Object.defineProperty(store, 'listeners', {
+                configurable: true,
+                enumerable: false,
+                value: {}
+            });
+        }
+        return store.listeners;
+    }
+
+    // Test if anything is listening for changes to `key`.
+    function hasListeners(store, key) {
+        return !!(store.listeners && store.listeners[key]);
+    }
+
+    // Calls the change handlers for `key`. `error` is passed on to them if parsing a value failed.
+    function emitChange(store, key, oldValue, newValue, source, error) {
+        if (!hasListeners(store, key)) {
+            return;
+        }
+        var change = {
+            key: key,
+            oldValue: oldValue,
+            newValue: newValue,
+            source: source
+        };
+        if (error) {
+            change.error = error;
+        }
+        // Copy the handlers, in case one of them calls `off`.
+        store.listeners[key].slice().forEach(function (handler) {
+            handler(change);
+        });
+    }
+
+    // Reads the current value at `key` so that it can be passed to change handlers, but only
+    // bothers if anything is listening. Expired and missing values are undefined.
+    function readOldValue(store, key) {
+        if (!hasListeners(store, key)) {
+            return undefined;
+        }
+        return then(store, readCurrentEntry(store, key), function (entry) {
+            return parseValue(store, entry.value, isExpired(entry));
+        });
+    }
+
+    // Puts a raw value through the transformer, treating null and anything expired as undefined.
+    function parseValue(store, value, expired) {
+        if (isMissing(value) || expired) {
+            return undefined;
+        }
+        return store.transformer.parse(value);
+    }
+
+    // Handles the window's storage event, which fires when another tab changes Storage. Only
+    // changes to the store's own backend and declared keys, within its namespace, are passed on. A
+    // null key means the other tab cleared the backend, which changes every key.
+    function onStorage(store, event) {
+        if (event.storageArea !== store.backend) {
+            return;
+        }
+        var keys = (event.key === null ?
+            Object.keys(store.listeners || {}) :
+            [logicalKey(store, event.key)]);
+        keys.filter(function (key) {
+            return key !== null && store.hasDeclared(key) && hasListeners(store, key);
+        }).forEach(function (key) {
+            // The metadata has already been written alongside the new value.
+            var expired = isExpired({
+                meta: store.backend.getItem(metaKey(physicalKey(store, key)))
+            });
+            then(store, parseChanged(store, event.oldValue), function (oldValue) {
+                var newValue = parseChanged(store, event.newValue, expired);
+                return then(store, newValue, function (newValue) {
+                    emitChange(store, key, oldValue.value, newValue.value, 'storage',
+                               newValue.error || oldValue.error);
+                });
+            });
+        });
+    }
+
+    // Puts a raw value changed by another tab through the transformer, like parseValue. The other
+    // tab could have written anything, so rather than throwing from an event listener, a value
+    // that can't be parsed is treated as undefined.
+    // Returns `{value, error}`, where `error` is whatever parsing threw, or a promise for it from
+    // async stores.
+    function parseChanged(store, value, expired) {
+        return attempt(store, function () {
+            return then(store, parseValue(store, value, expired), function (parsed) {
+                return { value: parsed };
+            });
+        }, function (e) {
+            return { value: undefined, error: e };
+        });
+    }
+
+    // ## Cache
+    //
+    // A cached value is kept as `{value, expires}`, and a write held back by a write-behind cache
+    // as `{value, entry}`, where `entry` is the raw entry to write, or null to remove the key.
+
+    // Sets up the cache for the store.
+    function startCache(store, writeBehind) {
+        var state = {
+            writeBehind: writeBehind,
+            values: Object.create(null),
+            pending: Object.create(null),
+            storageListener: null,
+            pagehideListener: null
+        };
+        Object.defineProperty(store, 'cacheState', {
+            configurable: true,
+            enumerable: false,
+            value: state
+        });
+        if (typeof root.addEventListener !== 'function') {
+            return;
+        }
+
+        // Another tab changing the backend makes the cached values out of date. A null key means
+        // the backend was cleared.
+        state.storageListener = function (event) {
+            if (event.storageArea !== store.backend) {
+                return;
+            }
+            var key = (event.key === null ? null : logicalKey(store, valueKey(event.key)));
+            if (event.key === null) {
+                state.values = Object.create(null);
+            } else if (key !== null) {
+                delete state.values[key];
+            }
+        };
+        root.addEventListener('storage', state.storageListener);
+
+        // The page may never be shown again, so write everything while there's still time. Writes
+        // that fail are held on to for the next flush, if the page is shown again, so the error is
+        // reported rather than thrown from the listener.
+        if (writeBehind) {
+            state.pagehideListener = function () {
+                attempt(store, function () {
+                    return flushPending(store);
+                }, reportError);
+            };
+            root.addEventListener('pagehide', state.pagehideListener);
+        }
+    }
+
+    // Stops caching for the store, dropping any writes being held back.
+    function stopCache(store) {
+        var state = store.cacheState;
+        if (!state) {
+            return;
+        }
+        if (state.storageListener) {
+            root.removeEventListener('storage', state.storageListener);
+        }
+        if (state.pagehideListener) {
+            root.removeEventListener('pagehide', state.pagehideListener);
+        }
+        delete store.cacheState;
+    }
+
+    // Cached value at `key`, as `{value}`, or undefined if there isn't one or it has expired.
+    function cachedValue(store, key) {
+        var state = store.cacheState;
+        var cached = state && state.values[key];
+        if (!cached || (typeof cached.expires === 'number' && cached.expires <= Date.now())) {
+            return undefined;
+        }
+        return cached;
+    }
+
+    // Caches `value`, parsed from the raw `entry` at `key`.
+    function cacheValue(store, key, value, entry) {
+        if (store.cacheState) {
+            store.cacheState.values[key] = { value: value, expires: parseMeta(entry).expires };
+        }
+    }
+
+    // Drops any cached value and held back write at each of `keys`, after they've been written to
+    // the backend some other way.
+    function invalidate(store, keys) {
+        var state = store.cacheState;
+        if (state) {
+            keys.forEach(function (key) {
+                delete state.values[key];
+                delete state.pending[key];
+            });
+        }
+    }
+
+    // Reads the entry at `key`: the one waiting to be written, if there is one, or the one in the
+    // backend.
+    function readCurrentEntry(store, key) {
+        var state = store.cacheState;
+        if (state && state.pending[key]) {
+            return then(store, state.pending[key].entry || { value: null, meta: null }, pass);
+        }
+        return readEntry(store, store.backend, key);
+    }
+
+    // Writes `entry`, holding `value`, at `key`, or holds it back with a write-behind cache.
+    function writeCurrentEntry(store, key, value, entry) {
+        var state = store.cacheState;
+        if (state) {
+            delete state.values[key];
+            if (state.writeBehind) {
+                state.pending[key] = { value: value, entry: entry };
+                return then(store, undefined, noop);
+            }
+        }
+        return writeWithQuota(store, key, value, entry);
+    }
+
+    // Removes the entry at `key`, or holds back removing it with a write-behind cache.
+    function removeCurrentEntry(store, key) {
+        var state = store.cacheState;
+        if (state) {
+            delete state.values[key];
+            if (state.writeBehind) {
+                state.pending[key] = { value: undefined, entry: null };
+                return then(store, undefined, noop);
+            }
+        }
+        return removeEntry(store, store.backend, key);
+    }
+
+    // Every key of the store's that might have a value, including those with writes held back.
+    function currentKeys(store) {
+        return then(store, storedKeys(store, store.backend), function (keys) {
+            var pending = (store.cacheState ? Object.keys(store.cacheState.pending) : []);
+            return keys.concat(pending.filter(function (key) {
+                return keys.indexOf(key) === -1;
+            }));
+        });
+    }
+
+    // Writes the held back writes to the backend, in order, for Store#flush.
+    function flushPending(store) {
+        var state = store.cacheState;
+        if (!(state && state.writeBehind)) {
+            return then(store, undefined, noop);
+        }
+        return then(store, series(store, Object.keys(state.pending), function (key) {
+            var write = state.pending[key];
+            if (!write) {
+                return undefined;
+            }
+            var written = (write.entry ? writeWithQuota(store, key, write.value, write.entry) :
+                                         removeEntry(store, store.backend, key));
+            return then(store, written, function () {
+                // Another write may have been held back while this one was being made.
+                if (state.pending[key] === write) {
+                    delete state.pending[key];
+                }
+            });
+        }), noop);
+    }
+
+    // ## Sync
+    //
+    // Stores with the `sync` option send each change to the other tabs as a message:
+    // `{id, clock, key, entry}`, where `id` identifies the sending store, `clock` is its logical
+    // clock, and `entry` is the raw entry that was written, or null if the key was removed. Each
+    // store keeps its clock ahead of every message it has seen, and remembers which message last
+    // changed each key, so a change is only applied if it's newer than the last. Ties are broken
+    // by `id`, so every tab picks the same winner.
+
+    // Key in localStorage that messages are relayed through, when there's no BroadcastChannel.
+    var SYNC_PREFIX = '__multistore_sync__:';
+
+    // Starts sending and receiving changes for the store.
+    function startSync(store) {
+        var name = 'multistore' + (typeof store.namespace === 'undefined' ? '' :
+                                                                            ':' + store.namespace);
+        Object.defineProperty(store, 'syncState', {
+            configurable: true,
+            enumerable: false,
+            value: {
+                id: Math.random().toString(36).slice(2) + Date.now().toString(36),
+                clock: 0,
+                stamps: {},
+                channel: openChannel(name, function (message) {
+                    onBroadcast(store, message);
+                })
+            }
+        });
+    }
+
+    // Stops sending and receiving changes for the store.
+    function stopSync(store) {
+        if (store.syncState) {
+            store.syncState.channel.close();
+            delete store.syncState;
+        }
+    }
+
+    // Opens a channel called `name` between tabs, which calls `receive` with each message sent by
+    // the others.
+    // Returns an object with `send` and `close` methods.
+    function openChannel(name, receive) {
+        var BroadcastChannel = getGlobal('BroadcastChannel');
+        if (typeof BroadcastChannel === 'function') {
+            var channel = new BroadcastChannel(name);
+            channel.onmessage = function (event) {
+                receive(event.data);
+            };
+            return {
+                send: function (message) {
+                    channel.postMessage(message);
+                },
+                close: function () {
+                    channel.close();
+                }
+            };
+        }
+
+        // Setting a value in localStorage fires the storage event in every other tab, so a message
+        // can be relayed by setting it and removing it again straight away.
+        var storage = getGlobal('localStorage');
+        if (!storage || typeof root.addEventListener !== 'function') {
+            throw new TypeError('Broadcast sync requires BroadcastChannel or localStorage');
+        }
+        var relayKey = SYNC_PREFIX + name;
+        // Some browsers, like Safari in private mode, have localStorage but throw on every write.
+        try {
+            storage.setItem(relayKey, '');
+            storage.removeItem(relayKey);
+        } catch (e) {
+            throw new TypeError('Broadcast sync requires BroadcastChannel or localStorage that ' +
+                                'can be written to');
+        }
+        var listener = function (event) {
+            if (event.storageArea !== storage || event.key !== relayKey ||
+                isMissing(event.newValue)) {
+                return;
+            }
+            try {
+                receive(JSON.parse(event.newValue));
+            } catch (e) {
+                // Anything else writing to the key isn't a message.
+            }
+        };
+        root.addEventListener('storage', listener);
+        return {
+            send: function (message) {
+                // The change has already been made in this tab, so if localStorage has filled up
+                // since, it's the other tabs that miss out, rather than the change failing.
+                try {
+                    storage.setItem(relayKey, JSON.stringify(message));
+                } catch (e) {
+                    return;
+                }
+                storage.removeItem(relayKey);
+            },
+            close: function () {
+                root.removeEventListener('storage', listener);
+            }
+        };
+    }
+
+    // Sends the change to `key` to the other tabs, if the store syncs. `entry` is the raw entry
+    // written, or null if the key was removed. Changes to localStorage reach other tabs anyway.
+    function publish(store, key, entry) {
+        var state = store.syncState;
+        if (!state || store.backend === getGlobal('localStorage')) {
+            return;
+        }
+        state.clock += 1;
+        state.stamps[key] = { clock: state.clock, id: state.id };
+        state.channel.send({ id: state.id, clock: state.clock, key: key, entry: entry });
+    }
+
+    // Applies a change sent by another tab, if it's to one of the store's keys and newer than the
+    // last change to it.
+    function onBroadcast(store, message) {
+        var state = store.syncState;
+        if (!(state && message && typeof message === 'object' &&
+              typeof message.key === 'string' && typeof message.clock === 'number' &&
+              typeof message.id === 'string' && typeof message.entry === 'object')) {
+            return;
+        }
+        state.clock = Math.max(state.clock, message.clock);
+        var key = message.key;
+        if (!store.hasDeclared(key) || !isNewer(message, state.stamps[key])) {
+            return;
+        }
+
+        // Rather than throwing from the message handler, a change that can't be made here, for
+        // example because the backend is full, is reported to the change handlers.
+        var entry = message.entry;
+        var oldValue, error;
+        var written = attempt(store, function () {
+            return whenReady(store, function () {
+                return then(store, readOldValue(store, key), function (value) {
+                    oldValue = value;
+                    invalidate(store, [key]);
+                    return then(store, (entry ? writeEntry(store, store.backend, key, entry) :
+                                                removeEntry(store, store.backend, key)), noop);
+                });
+            });
+        }, function (e) {
+            error = e;
+        });
+        then(store, written, function () {
+            if (error) {
+                emitChange(store, key, oldValue, undefined, 'broadcast', error);
+                return undefined;
+            }
+            // The key is only marked as changed once it has been, so that a later change can still
+            // be made if this one failed.
+            if (isNewer(message, state.stamps[key])) {
+                state.stamps[key] = { clock: message.clock, id: message.id };
+            }
+            var newValue = (entry ? parseChanged(store, entry.value, isExpired(entry)) : {});
+            return then(store, newValue, function (newValue) {
+                emitChange(store, key, oldValue, newValue.value, 'broadcast', newValue.error);
+            });
+        });
+    }
+
+    // Test if the change `stamp` is newer than `last`, ordering by clock and then id.
+    function isNewer(stamp, last) {
+        if (!last) {
+            return true;
+        }
+        return (stamp.clock !== last.clock ? stamp.clock > last.clock : stamp.id > last.id);
+    }
+
+    // ## Middleware
+
+    // Runs the store's middleware around `fn`, which performs the operation `op` at `key`. `fn` is
+    // called with the value, as passed to `next` by the last middleware.
+    function intercept(store, op, key, value, fn) {
+        var middleware = store.middleware || [];
+        function call(index, value) {
+            if (index === middleware.length) {
+                return fn(value);
+            }
+
+            var called = false;
+            var failed = false;
+            var finished = false;
+            var error, result, returned;
+            function next(newValue) {
+                if (called) {
+                    throw new Error('Middleware called next more than once to ' + op + ' key: ' +
+                                    key);
+                }
+                // A sync store has already returned, or thrown, so it's too late to carry on.
+                if (finished) {
+                    throw new Error('Middleware called next after a sync store had finished ' +
+                                    'trying to ' + op + ' key: ' + key);
+                }
+                called = true;
+                var nextValue = (arguments.length > 0 ? newValue : value);
+                result = attempt(store, function () {
+                    return call(index + 1, nextValue);
+                }, function (e) {
+                    failed = true;
+                    error = e;
+                    throw e;
+                });
+                return result;
+            }
+
+            try {
+                returned = middleware[index](op, key, value, next);
+            } finally {
+                finished = !store.async;
+            }
+            if (!store.async && isThenable(returned)) {
+                throw new Error('Middleware returned a promise to ' + op + ' key: ' + key +
+                                ', but the store is sync');
+            }
+            return then(store, returned, function (returned) {
+                if (op === 'get') {
+                    return returned;
+                }
+                if (!called) {
+                    throw new Error('Middleware must call next to ' + op + ' key: ' + key);
+                }
+                // Don't let middleware swallow a failed write. Async stores wait for it to finish,
+                // in case the middleware didn't.
+                if (failed) {
+                    throw error;
+                }
+                return then(store, result, function () {
+                    return returned;
+                });
+            });
+        }
+        return call(0, value);
+    }
+
+    // ## Locks
+    //
+    // Web Locks are shared by every tab on the origin. Without them, a lease is written to
+    // localStorage, which every tab can see, and removed when the lock is released. Leases expire,
+    // so a tab that closes while holding one doesn't block the key forever, and are renewed while
+    // the lock is held. If localStorage isn't available either, leases are kept in memory, which
+    // only works within the page.
+    var LOCK_PREFIX = '__multistore_lock__:';
+
+    // The Web Locks API used to lock keys, where the browser has one. Set it to null to use leases
+    // instead, or to another implementation of `request`.
+    Store.locks = (getGlobal('navigator') || {}).locks || null;
+
+    // Number of milliseconds a lease lasts for.
+    var LEASE_TIME = 5000;
+
+    // Number of milliseconds between renewals of a lease while its lock is held.
+    var LEASE_RENEW_TIME = 2000;
+
+    // Number of milliseconds to wait after writing a lease to check another tab didn't overwrite
+    // it.
+    var LEASE_SETTLE_TIME = 20;
+
+    // Number of milliseconds, give or take, to wait before trying again to take a lease.
+    var LEASE_RETRY_TIME = 25;
+
+    // Number of milliseconds to wait for a lease before giving up.
+    var LOCK_TIMEOUT = 10000;
+
+    // Leases kept in memory, when localStorage isn't available. Created when first needed.
+    var pageLeases = null;
+
+    // Checks the store has declared `key` and then calls `fn` while holding the lock on it.
+    // `verb` describes what was being attempted, for the error message.
+    // Returns a promise for the result of `fn`.
+    function lockKey(store, key, verb, fn) {
+        if (typeof root.Promise !== 'function') {
+            throw new TypeError('Locking keys requires Promise support');
+        }
+        // Even sync stores return a promise, so anything thrown becomes a rejection.
+        return Promise.resolve().then(function () {
+            return whenReady(store, function () {
+                if (!store.hasDeclared(key)) {
+                    throw new Error('Attempting to ' + verb + ' undeclared key: ' + key);
+                }
+                // Writes held back by a write-behind cache would be made after the lock was
+                // released, so they're flushed while it's held.
+                return withLock(LOCK_PREFIX + physicalKey(store, key), function () {
+                    // Another tab's write is visible as soon as it releases the lock, but its
+                    // storage event may arrive later, so the cached value can't be trusted.
+                    if (store.cacheState) {
+                        delete store.cacheState.values[key];
+                    }
+                    return Promise.resolve(fn()).then(function (result) {
+                        return then(store, flushPending(store), function () {
+                            return result;
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    // Calls `fn` while holding the lock called `name`.
+    // Returns a promise for the result of `fn`.
+    function withLock(name, fn) {
+        var locks = Store.locks;
+        if (locks && typeof locks.request === 'function') {
+            return locks.request(name, function () {
+                return fn();
+            });
+        }
+
+        var storage = getGlobal('localStorage');
+        if (!storage) {
+            pageLeases = pageLeases || new MemoryStorage();
+            storage = pageLeases;
+        }
+        var id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        return takeLease(storage, name, id, Date.now() + LOCK_TIMEOUT).then(function () {
+            var renewal = root.setInterval(function () {
+                if (!renewLease(storage, name, id)) {
+                    root.clearInterval(renewal);
+                }
+            }, LEASE_RENEW_TIME);
+            return Promise.resolve().then(fn).then(function (result) {
+                root.clearInterval(renewal);
+                // If the page's timers were held back for long enough, the lease may have expired
+                // and been taken over by another tab while `fn` ran.
+                if (!releaseLease(storage, name, id)) {
+                    throw new Error('Lost the lock before it was released: ' + name);
+                }
+                return result;
+            }, function (e) {
+                root.clearInterval(renewal);
+                releaseLease(storage, name, id);
+                throw e;
+            });
+        });
+    }
+
+    // Takes out a lease on the lock called `name` in `storage`, waiting for any other lease on it
+    // to be released or to expire.
+    // Returns a promise that resolves once the lease is taken, and rejects at the `deadline`.
+    function takeLease(storage, name, id, deadline) {
+        var lease = readLease(storage, name);
+        var taken;
+        if (lease && lease.expires > Date.now()) {
+            taken = Promise.resolve(false);
+        } else {
+            writeLease(storage, name, id);
+            // Another tab may have taken out a lease at the same time. The last to write wins, so
+            // wait a moment and check ours is still there.
+            taken = delay(LEASE_SETTLE_TIME).then(function () {
+                var lease = readLease(storage, name);
+                return !!lease && lease.id === id;
+            });
+        }
+        return taken.then(function (taken) {
+            if (taken) {
+                return undefined;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error('Timed out waiting for the lock: ' + name);
+            }
+            return delay(LEASE_RETRY_TIME * (1 + Math.random())).then(function () {
+                return takeLease(storage, name, id, deadline);
+            });
+        });
+    }
+
+    // Pushes back the expiry of the lease on the lock called `name`, if it's still ours.
+    // Returns false if it isn't.
+    function renewLease(storage, name, id) {
+        var lease = readLease(storage, name);
+        if (!lease || lease.id !== id) {
+            return false;
+        }
+        writeLease(storage, name, id);
+        return true;
+    }
+
+    // Removes the lease on the lock called `name`, if it's still ours.
+    // Returns false if it isn't.
+    function releaseLease(storage, name, id) {
+        var lease = readLease(storage, name);
+        if (!lease || lease.id !== id) {
+            return false;
+        }
+        storage.removeItem(name);
+        return true;
+    }
+
+    // Writes a lease on the lock called `name`, lasting from now.
+    function writeLease(storage, name, id) {
+        storage.setItem(name, JSON.stringify({ id: id, expires: Date.now() + LEASE_TIME }));
+    }
+
+    // Reads the lease on the lock called `name`. Returns `{id, expires}`, or null if there isn't
+    // one or it's unreadable.
+    function readLease(storage, name) {
+        try {
+            var lease = JSON.parse(storage.getItem(name));
+            return (lease && typeof lease === 'object' ? lease : null);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Returns a promise that resolves after `ms` milliseconds.
+    function delay(ms) {
+        return new Promise(function (resolve) {
+            root.setTimeout(resolve, ms);
+        });
+    }
+
+    // Test if `a` and `b` are the same value, comparing arrays, plain objects, Dates, RegExps, Maps
+    // and Sets by their contents.
+    function deepEqual(a, b) {
+        if (a === b || (a !== a && b !== b)) {
+            return true;
+        }
+        if (!(a && b && typeof a === 'object' && typeof b === 'object')) {
+            return false;
+        }
+        var type = Object.prototype.toString.call(a);
+        if (type !== Object.prototype.toString.call(b) ||
+            Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+            return false;
+        }
+        if (type === '[object Date]') {
+            return deepEqual(a.getTime(), b.getTime());
+        }
+        if (type === '[object RegExp]') {
+            return String(a) === String(b);
+        }
+        if (type === '[object Map]' || type === '[object Set]') {
+            return deepEqual(entriesOf(a), entriesOf(b));
+        }
+        var keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(function (key) {
+            return Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]);
+        });
+    }
+
+    // Entries of a Map or Set, as an array of `[key, value]` pairs.
+    function entriesOf(collection) {
+        var entries = [];
+        collection.forEach(function (value, key) {
+            entries.push([key, value]);
+        });
+        return entries;
+    }
+
+    // ## Views
+    //
+    // A view holds its store in a closure, rather than in a property, so that it can't be used to
+    // get at the rest of the store's keys.
+
+    // Creates a view of the store's `keys`, for Store#view.
+    function createView(store, keys, readOnly) {
+        var view = {
+            keys: Object.freeze(keys.slice()),
+            readOnly: readOnly,
+
+            hasDeclared: function (key) {
+                return keys.indexOf(key) !== -1;
+            },
+
+            get: function (key, opts) {
+                return run(store, function () {
+                    checkDeclared(view, [key], 'get');
+                    return store.get(key, opts);
+                });
+            },
+
+            set: function (key, value, opts) {
+                return run(store, function () {
+                    checkWritable(view, [key], 'set');
+                    return store.set(key, value, opts);
+                });
+            },
+
+            remove: function (key) {
+                return run(store, function () {
+                    checkWritable(view, [key], 'remove');
+                    return store.remove(key);
+                });
+            },
+
+            getMany: function (keys) {
+                return run(store, function () {
+                    checkDeclared(view, keys, 'get');
+                    return store.getMany(keys);
+                });
+            },
+
+            setMany: function (values, opts) {
+                return run(store, function () {
+                    if (!(values && typeof values === 'object')) {
+                        throw new TypeError('setMany takes an object mapping keys to values');
+                    }
+                    checkWritable(view, Object.keys(values), 'set');
+                    return store.setMany(values, opts);
+                });
+            },
+
+            removeMany: function (keys) {
+                return run(store, function () {
+                    checkWritable(view, keys, 'remove');
+                    return store.removeMany(keys);
+                });
+            },
+
+            on: function (name, key, handler) {
+                checkEvent(name, handler);
+                checkDeclared(view, [key], 'listen to');
+                store.on(name, key, handler);
+                return view;
+            },
+
+            off: function (name, key, handler) {
+                store.off(name, key, handler);
+                return view;
+            }
+        };
+        return Object.freeze(view);
+    }
+
+    // Throws unless the view can change the values at `keys`. `verb` describes what was being
+    // attempted, for the error message.
+    function checkWritable(view, keys, verb) {
+        checkDeclared(view, keys, verb);
+        if (view.readOnly) {
+            throw new Error('Attempting to ' + verb + ' in a read-only view: ' + keys.join(', '));
+        }
+    }
+
+    // ## Snapshots
+    //
+    // Snapshots made by Store#export are tagged with a format and version, so that Store#import
+    // can tell them apart from other JSON and refuse ones it doesn't understand.
+    var SNAPSHOT_FORMAT = 'multistore';
+    var SNAPSHOT_VERSION = 1;
+
+    // Name of `backend` for a snapshot: its name in Store.backendMap, or 'custom'.
+    function describeBackend(backend) {
+        var name = backendName(backend);
+        return (typeof name === 'string' ? name : 'custom');
+    }
+
+    // Name of `transformer` for a snapshot: 'pass', 'JSON', 'richJSON' or 'compressing' for those
+    // transformers, or 'custom' for anything else, including composed ones.
+    function describeTransformer(transformer) {
+        var names = {
+            pass: Store.passTransformer,
+            JSON: JSON,
+            richJSON: Store.richJSONTransformer,
+            compressing: Store.compressingTransformer
+        };
+        var matches = Object.keys(names).filter(function (name) {
+            return names[name] === transformer;
+        });
+        return (matches.length ? matches[0] : 'custom');
+    }
+
+    // Describes the raw `entry` at `key` for a snapshot, including the parts in `include`.
+    // Returns `{key, meta, raw, value}`, or a promise for it from async stores.
+    function exportEntry(store, key, entry, include) {
+        var item = { key: key, meta: parseMeta(entry) };
+        if (include.raw) {
+            item.raw = entry.value;
+        }
+        if (!include.parsed) {
+            return item;
+        }
+        return then(store, store.transformer.parse(entry.value), function (value) {
+            item.value = value;
+            return item;
+        });
+    }
+
+    // Throws unless `snapshot` looks like one Store#export made.
+    function checkSnapshot(snapshot) {
+        if (!(snapshot && typeof snapshot === 'object' && snapshot.format === SNAPSHOT_FORMAT)) {
+            throw new TypeError('import takes a snapshot made by export');
+        }
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error('Attempting to import unsupported snapshot version: ' +
+                snapshot.version);
+        }
+        if (!Array.isArray(snapshot.entries)) {
+            throw new TypeError('Snapshot entries must be an array');
+        }
+        snapshot.entries.forEach(function (item) {
+            if (!(item && typeof item === 'object' && typeof item.key === 'string')) {
+                throw new TypeError('Snapshot entries must each have a string key');
+            }
+            if (!('raw' in item || 'value' in item)) {
+                throw new TypeError('Snapshot entry has neither a raw nor a parsed value: ' +
+                    item.key);
+            }
+        });
+    }
+
+    // Turns an `item` from a snapshot into the entry to write for it, checking its value can be
+    // read and passes the key's validator. Values from older versions of the store are validated
+    // once they've been migrated instead.
+    // Returns `{key, value, entry}`, or a promise for it from async stores.
+    function importEntry(store, item) {
+        var key = item.key;
+        var meta = item.meta || {};
+        var from = meta.version || 1;
+        if (typeof store.version !== 'undefined' && from > store.version) {
+            throw new Error('Data at key ' + key + ' was written by version ' + from +
+                ', which is newer than version ' + store.version);
+        }
+        var current = (typeof store.version === 'undefined' || from === store.version);
+
+        var value = ('raw' in item ? attempt(store, function () {
+            return store.transformer.parse(item.raw);
+        }, function (e) {
+            throw new Error('Failed to parse imported value at key ' + key + ': ' +
+                (e && e.message));
+        }) : item.value);
+
+        return then(store, value, function (value) {
+            if (current) {
+                validate(store, key, value);
+            }
+            var raw = ('raw' in item ? item.raw : store.transformer.stringify(value));
+            return then(store, raw, function (raw) {
+                return {
+                    key: key,
+                    value: value,
+                    entry: { value: raw, meta: stringifyMeta(meta) }
+                };
+            });
+        });
+    }
+
+    // ## Validation
+
+    // Throws a TypeError, explaining why, if `value` fails the validator `key` was declared with.
+    function validate(store, key, value) {
+        var validator = descriptorOf(store, key).validate;
+        var problem;
+        if (typeof validator === 'function') {
+            try {
+                problem = validator(value);
+            } catch (e) {
+                problem = (e && e.message) || String(e);
+            }
+            if (problem === false) {
+                problem = 'rejected by validator';
+            } else if (typeof problem !== 'string') {
+                problem = null;
+            }
+        } else if (validator) {
+            problem = checkSchema(validator, value, 'value');
+        }
+        if (problem) {
+            throw new TypeError('Invalid value for key ' + key + ': ' + problem);
+        }
+    }
+
+    // Checks `value` against a JSON Schema-like `schema`. `path` describes where the value is, for
+    // the error message.
+    // Returns a string describing the first problem found, or null if there isn't one.
+    function checkSchema(schema, value, path) {
+        var type = typeOf(value);
+        var i, problem;
+
+        if (typeof schema.type !== 'undefined') {
+            var types = [].concat(schema.type);
+            var matches = types.some(function (expected) {
+                return expected === type || (expected === 'number' && type === 'integer');
+            });
+            if (!matches) {
+                return path + ' should be ' + types.join(' or ') + ', not ' + type;
+            }
+        }
+
+        if (Array.isArray(schema.enum)) {
+            var allowed = schema.enum.some(function (option) {
+                return option === value;
+            });
+            if (!allowed) {
+                return path + ' should be one of ' + JSON.stringify(schema.enum);
+            }
+        }
+
+        if (type === 'number' || type === 'integer') {
+            if (typeof schema.minimum === 'number' && value < schema.minimum) {
+                return path + ' should be at least ' + schema.minimum;
+            }
+            if (typeof schema.maximum === 'number' && value > schema.maximum) {
+                return path + ' should be at most ' + schema.maximum;
+            }
+        }
+
+        if (type === 'string') {
+            if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+                return path + ' should be at least ' + schema.minLength + ' characters';
+            }
+            if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+                return path + ' should be at most ' + schema.maxLength + ' characters';
+            }
+            if (typeof schema.pattern !== 'undefined' && !new RegExp(schema.pattern).test(value)) {
+                return path + ' should match ' + schema.pattern;
+            }
+        }
+
+        if (type === 'object') {
+            var properties = schema.properties || {};
+            var required = schema.required || [];
+            for (i = 0; i < required.length; i++) {
+                if (!Object.prototype.hasOwnProperty.call(value, required[i])) {
+                    return path + '.' + required[i] + ' is required';
+                }
+            }
+            var names = Object.keys(value);
+            for (i = 0; i < names.length; i++) {
+                if (properties.hasOwnProperty(names[i])) {
+                    problem = checkSchema(properties[names[i]], value[names[i]],
+                        path + '.' + names[i]);
+                    if (problem) {
+                        return problem;
+                    }
+                } else if (schema.additionalProperties === false) {
+                    return path + '.' + names[i] + ' is not allowed';
+                }
+            }
+        }
+
+        if (type === 'array' && schema.items) {
+            for (i = 0; i < value.length; i++) {
+                problem = checkSchema(schema.items, value[i], path + '[' + i + ']');
+                if (problem) {
+                    return problem;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // JSON Schema type name of `value`.
+    function typeOf(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number' && value % 1 === 0) {
+            return 'integer';
+        }
+        return typeof value;
+    }
+
+    // ## Versions
+
+    // Throws unless `version` is a positive integer and `migrations` an object of functions for
+    // versions up to it. Both may be undefined, but migrations need a version.
+    function checkVersion(version, migrations) {
+        if (typeof version !== 'undefined' &&
+            !(typeof version === 'number' && version > 0 && version % 1 === 0)) {
+            throw new TypeError('Version must be a positive integer');
+        }
+        if (typeof migrations === 'undefined') {
+            return;
+        }
+        if (typeof version === 'undefined') {
+            throw new TypeError('Migrations require a version');
+        }
+        if (!(migrations && typeof migrations === 'object')) {
+            throw new TypeError('Migrations must be an object mapping versions to functions');
+        }
+        Object.keys(migrations).forEach(function (to) {
+            if (!(Number(to) > 1 && Number(to) <= version && Number(to) % 1 === 0)) {
+                throw new TypeError('Migration for invalid version: ' + to);
+            }
+            if (typeof migrations[to] !== 'function') {
+                throw new TypeError('Migration for version ' + to + ' must be a function');
+            }
+        });
+    }
+
+    // Brings the value at every declared key up to the store's version, one migration at a time.
+    // Each key records its own version, so if a migration throws, the keys already migrated stay
+    // migrated and the rest are picked up again by the next store.
+    function migrate(store) {
+        if (typeof store.version === 'undefined') {
+            return then(store, undefined, noop);
+        }
+        return then(store, storedKeys(store, store.backend), function (keys) {
+            return series(store, keys, function (key) {
+                return then(store, readEntry(store, store.backend, key), function (entry) {
+                    if (isMissing(entry.value) || isExpired(entry)) {
+                        return;
+                    }
+
+                    var meta = parseMeta(entry);
+                    var from = meta.version || 1;
+                    if (from > store.version) {
+                        throw new Error('Data at key ' + key + ' was written by version ' + from +
+                            ', which is newer than version ' + store.version);
+                    }
+                    if (from === store.version) {
+                        return;
+                    }
+
+                    var versions = [];
+                    for (var to = from + 1; to <= store.version; to++) {
+                        versions.push(to);
+                    }
+
+                    var value = parseValue(store, entry.value);
+                    versions.forEach(function (to) {
+                        value = then(store, value, function (value) {
+                            if (!store.migrations[to]) {
+                                return value;
+                            }
+                            return attempt(store, function () {
+                                return store.migrations[to](value, key);
+                            }, function (e) {
+                                throw new Error('Migration to version ' + to + ' failed for key ' +
+                                    key + ': ' + (e && e.message));
+                            });
+                        });
+                    });
+
+                    return then(store, value, function (value) {
+                        if (typeof value === 'undefined') {
+                            return removeEntry(store, store.backend, key);
+                        }
+                        meta.version = store.version;
+                        var stringified = store.transformer.stringify(value);
+                        return then(store, stringified, function (stringified) {
+                            return writeEntry(store, store.backend, key, {
+                                value: stringified,
+                                meta: stringifyMeta(meta)
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    // Picks the store's backend from the `backend` option, migrates the data in it, and starts the
+    // cache and sync, for the constructor.
+    function setUp(store, opts) {
+        // Use and set (and therefore test) the supplied backend, defaulting to local storage, then
+        // migrate any old data in it. Async stores can't do that straight away, so `ready` is a
+        // promise that resolves with the backend once they're done. Every method of an async store
+        // waits for it.
+        opts.backend = opts.backend || ['local'];
+        store.backends = [].concat(opts.backend);
+        if (store.async) {
+            store.ready = run(store, function () {
+                return switchBackend(store, opts.backend);
+            }).then(function (backend) {
+                return migrate(store).then(function () {
+                    return backend;
+                });
+            });
+            // The error comes back from every method instead, so don't report it as unhandled.
+            store.ready.then(null, noop);
+        } else {
+            store.setBackend(opts.backend);
+            migrate(store);
+        }
+
+        if (store.cache) {
+            startCache(store, opts.cache.writeBehind === true);
+        }
+        if (store.sync === 'broadcast') {
+            startSync(store);
+        }
+    }
+
+    // Switches the store to the first usable backend in `backends`, for Store#setBackend, without
+    // waiting for the store to be ready, which is what the constructor is waiting for.
+    function switchBackend(store, backends) {
+        if (!Array.isArray(backends)) {
+            backends = [backends];
+        }
+
+        // Pick the first usable backend from supplied list.
+        return then(store, pickBackend(store, backends), function (newBackend) {
+            if (!newBackend) {
+                throw new TypeError('No usable backends could be found');
+            }
+
+            var oldBackend = store.backend;
+            if (!oldBackend || oldBackend === newBackend) {
+                store.backend = newBackend;
+                return store.backend;
+            }
+
+            return then(store, storedKeys(store, oldBackend), function (keys) {
+                return then(store, copyEntries(store, keys, oldBackend, newBackend), function () {
+                    store.backend = newBackend;
+
+                    // Don't leave the data lying around!
+                    return then(store, series(store, keys, function (key) {
+                        return removeEntry(store, oldBackend, key);
+                    }), function () {
+                        return store.backend;
+                    });
+                });
+            });
+        });
+    }
+
+    // Find the first usable backend in `backends`, resolving backend strings with Store.backendMap.
+    // Returns the backend, or undefined if none of them passed testBackend.
+    function pickBackend(store, backends) {
+        var index = 0;
+        function next() {
+            if (index >= backends.length) {
+                return undefined;
+            }
+            var backend = resolveBackend(backends[index++]);
+            return attempt(store, function () {
+                return then(store, store.testBackend(backend), function () {
+                    return backend;
+                });
+            }, next);
+        }
+        return next();
+    }
+
+    // Support supplying strings like `local` and `session`, as well as backend objects.
+    function resolveBackend(backend) {
+        if (Store.backendMap.hasOwnProperty(backend)) {
+            return Store.backendMap[backend];
+        }
+        return backend;
+    }
+
+    // ## Quota
+
+    // Test if `error` is the one browsers throw when Storage is full. Firefox has its own.
+    function isQuotaExceeded(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    // Writes `entry`, the stringified `value`, to `key` in the current backend, following the
+    // store's onQuotaExceeded policy if the backend is full.
+    function writeWithQuota(store, key, value, entry) {
+        var write = function () {
+            return writeEntry(store, store.backend, key, entry);
+        };
+
+        return attempt(store, write, function (e) {
+            if (!isQuotaExceeded(e) || store.onQuotaExceeded === 'throw') {
+                throw e;
+            }
+
+            if (store.onQuotaExceeded === 'failover') {
+                return then(store, failover(store), function (backend) {
+                    if (!backend) {
+                        throw e;
+                    }
+                    return write();
+                });
+            }
+
+            return then(store, store.onQuotaExceeded(key, value, store), function (result) {
+                if (result === false) {
+                    throw e;
+                }
+                return write();
+            });
+        });
+    }
+
+    // Switches the store to the next usable backend after the current one in its backend list.
+    // Returns the new backend, or undefined if there isn't one.
+    function failover(store) {
+        var index = store.backends.map(resolveBackend).indexOf(store.backend);
+        var remaining = store.backends.slice(index + 1);
+        if (remaining.length === 0) {
+            return undefined;
+        }
+        return attempt(store, function () {
+            return store.setBackend(remaining);
+        }, noop);
+    }
+
+    // ## Transformers
+
+    // Throws if `transformer` is missing the required methods.
+    function checkTransformer(transformer) {
         ['parse', 'stringify'].forEach(function (methodName) {
             if (typeof transformer[methodName] !== 'function') {
                 throw new TypeError('Transformer missing method, "' + methodName + '"');
             }
         });
+    }
+
+    // Pass `value` through the `method` of each stage's transformer in turn. Once a stage returns a
+    // promise, the rest are chained on to it.
+    function runStages(stages, method, value) {
+        return stages.reduce(function (value, stage) {
+            if (isThenable(value)) {
+                return value.then(function (value) {
+                    return runStage(stage, method, value);
+                });
+            }
+            return runStage(stage, method, value);
+        }, value);
+    }
+
+    // Pass `value` through the `method` of a stage's transformer, saying which stage it was if it
+    // throws or rejects.
+    function runStage(stage, method, value) {
+        var result;
+        try {
+            result = stage.transformer[method](value);
+        } catch (e) {
+            throw stageError(stage, method, e);
+        }
+        if (isThenable(result)) {
+            return result.then(null, function (e) {
+                throw stageError(stage, method, e);
+            });
+        }
+        return result;
+    }
+
+    function stageError(stage, method, cause) {
+        var error = new Error('Transformer at index ' + stage.index + ' failed to ' + method +
+            ': ' + ((cause && cause.message) || cause));
+        error.stage = stage.index;
+        error.cause = cause;
+        return error;
+    }
+
+    function isThenable(value) {
+        return !!(value && typeof value.then === 'function');
+    }
+
+    // ## Encryption
+
+    // Encrypted values start with this, so that anything else can be rejected clearly.
+    var ENCRYPTED_PREFIX = 'aes-gcm:';
+
+    // Gets Web Crypto's SubtleCrypto, throwing if it isn't available.
+    function getSubtle() {
+        var crypto = getGlobal('crypto');
+        if (!(crypto && crypto.subtle)) {
+            throw new Error('Web Crypto is not available');
+        }
+        return crypto.subtle;
+    }
+
+    // Encrypt the string `value` with `key`. The random IV is stored in front of the ciphertext.
+    // Returns a promise for a string.
+    function encrypt(key, value) {
+        var iv = getGlobal('crypto').getRandomValues(new Uint8Array(12));
+        var data = new root.TextEncoder().encode(value);
+        var algorithm = { name: 'AES-GCM', iv: iv };
+        return getSubtle().encrypt(algorithm, key, data).then(function (ciphertext) {
+            var bytes = new Uint8Array(iv.length + ciphertext.byteLength);
+            bytes.set(iv);
+            bytes.set(new Uint8Array(ciphertext), iv.length);
+            return ENCRYPTED_PREFIX + toBase64(bytes);
+        });
+    }
+
+    // Reverse of encrypt.
+    // Returns a promise for the string, which rejects if it can't be decrypted and authenticated.
+    function decrypt(key, value) {
+        if (typeof value !== 'string' || value.indexOf(ENCRYPTED_PREFIX) !== 0) {
+            return Promise.reject(new Error('Failed to decrypt value: it is not encrypted'));
+        }
+        var bytes;
+        try {
+            bytes = fromBase64(value.slice(ENCRYPTED_PREFIX.length));
+        } catch (e) {
+            return Promise.reject(new Error('Failed to decrypt value: it is not valid base64'));
+        }
+        var iv = bytes.subarray(0, 12);
+        var ciphertext = bytes.subarray(12);
+        var algorithm = { name: 'AES-GCM', iv: iv };
+        return getSubtle().decrypt(algorithm, key, ciphertext).then(function (data) {
+            return new root.TextDecoder().decode(data);
+        }, function () {
+            throw new Error('Failed to decrypt value: it has been tampered with, or was ' +
+                'encrypted with a different key');
+        });
+    }
+
+    function toBase64(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return root.btoa(binary);
+    }
+
+    function fromBase64(string) {
+        var binary = root.atob(string);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // ## Compression
+    //
+    // Strings are compressed with a variation on LZW. The dictionary starts empty, and each
+    // character is added as a literal the first time it's seen. Each code is written with only as
+    // many bits as the dictionary size needs, and the bits are packed 15 to a character, offset
+    // from 32 to stay clear of control characters and surrogates. The header is followed by the
+    // length of the original string, which tells the decompressor when to stop.
+
+    // Compressed values start with this. It begins with a character from the private use area,
+    // which is unlikely to start anything else.
+    var COMPRESSED_PREFIX = '\uE000lz:';
+
+    // Code that marks a literal character, which follows in 16 bits.
+    var LITERAL_CODE = 0;
+
+    // Compress the string `value`.
+    function compress(value) {
+        var dictionary = Object.create(null);
+        var size = 1;
+        var writer = bitWriter();
+        var position = 0;
+        var previous = null;
+
+        while (position < value.length) {
+            var entry = value.charAt(position);
+            var bits = bitLength(size);
+
+            if (!(entry in dictionary)) {
+                writer.write(LITERAL_CODE, bits);
+                writer.write(entry.charCodeAt(0), 16);
+                dictionary[entry] = size++;
+            } else {
+                // Find the longest entry matching the string from this position.
+                while (position + entry.length < value.length &&
+                       (entry + value.charAt(position + entry.length)) in dictionary) {
+                    entry += value.charAt(position + entry.length);
+                }
+                writer.write(dictionary[entry], bits);
+            }
+
+            if (previous !== null) {
+                dictionary[previous + entry.charAt(0)] = size++;
+            }
+
+            previous = entry;
+            position += entry.length;
+        }
+
+        return COMPRESSED_PREFIX + value.length + ':' + writer.end();
+    }
+
+    // Reverse of compress.
+    function decompress(value) {
+        var start = value.indexOf(':', COMPRESSED_PREFIX.length);
+        var length = parseInt(value.slice(COMPRESSED_PREFIX.length, start), 10);
+        if (start === -1 || isNaN(length) || length < 0) {
+            throw new Error('Failed to decompress value: the header is invalid');
+        }
+
+        var dictionary = [null];
+        var reader = bitReader(value.slice(start + 1));
+        var output = [];
+        var outputLength = 0;
+        var previous = null;
+
+        while (outputLength < length) {
+            var code = reader.read(bitLength(dictionary.length));
+            var entry;
+
+            if (code === LITERAL_CODE) {
+                entry = String.fromCharCode(reader.read(16));
+                dictionary.push(entry);
+            } else if (code < dictionary.length) {
+                entry = dictionary[code];
+            } else {
+                throw new Error('Failed to decompress value: it is corrupt');
+            }
+
+            if (previous !== null) {
+                dictionary.push(previous + entry.charAt(0));
+            }
+
+            output.push(entry);
+            outputLength += entry.length;
+            previous = entry;
+        }
+
+        return output.join('');
+    }
+
+    // Number of bits needed to write numbers up to `n`.
+    function bitLength(n) {
+        var bits = 1;
+        while ((1 << bits) <= n) {
+            bits++;
+        }
+        return bits;
+    }
+
+    // Writes numbers bit by bit, packed 15 bits to a character.
+    function bitWriter() {
+        var chars = [];
+        var buffer = 0;
+        var buffered = 0;
+        return {
+            write: function (n, bits) {
+                for (var i = bits - 1; i >= 0; i--) {
+                    buffer = (buffer << 1) | ((n >> i) & 1);
+                    if (++buffered === 15) {
+                        chars.push(String.fromCharCode(buffer + 32));
+                        buffer = 0;
+                        buffered = 0;
+                    }
+                }
+            },
+            end: function () {
+                if (buffered > 0) {
+                    chars.push(String.fromCharCode((buffer << (15 - buffered)) + 32));
+                }
+                return chars.join('');
+            }
+        };
+    }
+
+    // Reads numbers written by bitWriter.
+    function bitReader(string) {
+        var index = 0;
+        var buffer = 0;
+        var buffered = 0;
+        return {
+            read: function (bits) {
+                var n = 0;
+                for (var i = 0; i < bits; i++) {
+                    if (buffered === 0) {
+                        if (index >= string.length) {
+                            throw new Error('Failed to decompress value: it is truncated');
+                        }
+                        buffer = string.charCodeAt(index++) - 32;
+                        buffered = 15;
+                    }
+                    n = (n << 1) | ((buffer >> --buffered) & 1);
+                }
+                return n;
+            }
+        };
+    }
+
+    // ## Rich JSON
+
+    // Typed array constructors that the rich JSON transformer supports, where they exist.
+    var TYPED_ARRAYS = [
+        'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+        'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+    ].filter(function (name) {
+        return typeof root[name] === 'function';
+    });
+
+    // Tag a value with its type, for the rich JSON transformer.
+    function tag(type, value) {
+        var tagged = { $type: type };
+        if (typeof value !== 'undefined') {
+            tagged.value = value;
+        }
+        return tagged;
+    }
+
+    // Convert `value` into something JSON can represent without losing anything. `parents` is the
+    // stack of objects being converted, to catch circular structures.
+    function encodeRich(value, parents) {
+        var encode = function (child) {
+            return encodeRich(child, parents.concat([value]));
+        };
+
+        var kind = typeof value;
+        if (kind === 'undefined') {
+            return tag('undefined');
+        }
+        if (kind === 'number') {
+            if (value !== value || value === Infinity || value === -Infinity) {
+                return tag('Number', String(value));
+            }
+            if (value === 0 && 1 / value < 0) {
+                return tag('Number', '-0');
+            }
+            return value;
+        }
+        if (kind === 'bigint') {
+            return tag('BigInt', value.toString());
+        }
+        if (kind === 'function' || kind === 'symbol') {
+            throw new TypeError('Cannot stringify a ' + kind);
+        }
+        if (value === null || kind !== 'object') {
+            return value;
+        }
+
+        if (parents.indexOf(value) !== -1) {
+            throw new TypeError('Cannot stringify a circular structure');
+        }
+
+        var type = Object.prototype.toString.call(value).slice(8, -1);
+        if (type === 'Date') {
+            var time = value.getTime();
+            return tag('Date', (time === time ? time : null));
+        }
+        if (type === 'RegExp') {
+            return tag('RegExp', [value.source, regExpFlags(value)]);
+        }
+        if (type === 'Map') {
+            var entries = [];
+            value.forEach(function (entryValue, entryKey) {
+                entries.push([encode(entryKey), encode(entryValue)]);
+            });
+            return tag('Map', entries);
+        }
+        if (type === 'Set') {
+            var values = [];
+            value.forEach(function (setValue) {
+                values.push(encode(setValue));
+            });
+            return tag('Set', values);
+        }
+        if (TYPED_ARRAYS.indexOf(type) !== -1) {
+            return tag(type, Array.prototype.map.call(value, encode));
+        }
+        if (Array.isArray(value)) {
+            // Array#map skips holes, which should come back as undefined too.
+            var items = [];
+            for (var i = 0; i < value.length; i++) {
+                items.push(encode(value[i]));
+            }
+            return items;
+        }
+        if (typeof value.toJSON === 'function') {
+            return encode(value.toJSON());
+        }
+
+        var encoded = {};
+        Object.keys(value).forEach(function (key) {
+            setOwn(encoded, key, encode(value[key]));
+        });
+        // Objects that already have a `$type` would be mistaken for tagged values, so tag them too.
+        if (Object.prototype.hasOwnProperty.call(value, '$type')) {
+            return tag('Object', encoded);
+        }
+        return encoded;
+    }
+
+    // Reverse of encodeRich. Objects that don't look like tagged values are left alone, so plain
+    // JSON comes back unchanged.
+    function decodeRich(value) {
+        if (Array.isArray(value)) {
+            return value.map(decodeRich);
+        }
+        if (!(value && typeof value === 'object')) {
+            return value;
+        }
+
+        if (isTagged(value)) {
+            var tagged = value.value;
+            switch (value.$type) {
+            case 'undefined':
+                return undefined;
+            case 'Number':
+                return (tagged === '-0' ? -0 : Number(tagged));
+            case 'BigInt':
+                if (typeof root.BigInt !== 'function') {
+                    throw new TypeError('Cannot parse a BigInt without BigInt support');
+                }
+                return root.BigInt(tagged);
+            case 'Date':
+                return new Date(tagged === null ? NaN : tagged);
+            case 'RegExp':
+                return new RegExp(tagged[0], tagged[1]);
+            case 'Map':
+                var map = new root.Map();
+                tagged.forEach(function (entry) {
+                    map.set(decodeRich(entry[0]), decodeRich(entry[1]));
+                });
+                return map;
+            case 'Set':
+                var set = new root.Set();
+                tagged.forEach(function (setValue) {
+                    set.add(decodeRich(setValue));
+                });
+                return set;
+            case 'Object':
+                return decodeObject(tagged);
+            default:
+                return new root[value.$type](tagged.map(decodeRich));
+            }
+        }
+
+        return decodeObject(value);
+    }
+
+    function decodeObject(value) {
+        var decoded = {};
+        Object.keys(value).forEach(function (key) {
+            setOwn(decoded, key, decodeRich(value[key]));
+        });
+        return decoded;
+    }
+
+    // Sets `value` as an own property of `object`, the way JSON.parse does. Assigning would set
+    // the prototype instead, for a key of `__proto__`.
+    function setOwn(object, key, value) {
+        Object.defineProperty(object, key, {
+            configurable: true,
+            enumerable: true,
+            writable: true,
+            value: value
+        });
+    }
+
+    // Test if an object parsed from JSON is a value tagged by encodeRich. It has a known `$type`,
+    // at most a `value` besides, and the value has the shape encodeRich gives that type. Plain JSON
+    // that only looks similar isn't tagged.
+    function isTagged(value) {
+        var onlyTag = Object.keys(value).every(function (key) {
+            return key === '$type' || key === 'value';
+        });
+        if (!onlyTag) {
+            return false;
+        }
+        var tagged = value.value;
+        switch (value.$type) {
+        case 'undefined':
+            return !Object.prototype.hasOwnProperty.call(value, 'value');
+        case 'Number':
+            return ['NaN', 'Infinity', '-Infinity', '-0'].indexOf(tagged) !== -1;
+        case 'BigInt':
+            return typeof tagged === 'string' && /^-?\d+$/.test(tagged);
+        case 'Date':
+            return tagged === null || typeof tagged === 'number';
+        case 'RegExp':
+            return Array.isArray(tagged) && tagged.length === 2 &&
+                typeof tagged[0] === 'string' && typeof tagged[1] === 'string';
+        case 'Map':
+            return Array.isArray(tagged) && tagged.every(function (entry) {
+                return Array.isArray(entry) && entry.length === 2;
+            });
+        case 'Set':
+            return Array.isArray(tagged);
+        case 'Object':
+            return !!tagged && typeof tagged === 'object' && !Array.isArray(tagged);
+        default:
+            return TYPED_ARRAYS.indexOf(value.$type) !== -1 && Array.isArray(tagged);
+        }
+    }
+
+    // Flags of a RegExp, for browsers without RegExp#flags.
+    function regExpFlags(regExp) {
+        if (typeof regExp.flags === 'string') {
+            return regExp.flags;
+        }
+        return (regExp.global ? 'g' : '') + (regExp.ignoreCase ? 'i' : '') +
+            (regExp.multiline ? 'm' : '');
+    }
+
+    // Look up a global, such as a Storage object. Sandboxed iframes and some privacy modes throw on
+    // merely touching `localStorage`, so a missing or inaccessible global becomes null. A null
+    // backend will fail testBackend like any other broken backend.
+    function getGlobal(name) {
+        try {
+            return root[name] || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Reports `error` the way uncaught errors are, without throwing it, where the browser supports
+    // reportError.
+    function reportError(error) {
+        var report = getGlobal('reportError');
+        if (typeof report === 'function') {
+            report.call(root, error);
+        }
+    }
+
+    // Approximate number of bytes a key and value take up in Storage, which uses UTF-16.
+    function byteSize(key, value) {
+        return (String(key).length + String(value).length) * 2;
+    }
+
+    // Create an error that looks like the one browsers throw when Storage is full.
+    function quotaExceededError() {
+        var message = 'The quota has been exceeded.';
+        try {
+            return new DOMException(message, 'QuotaExceededError');
+        } catch (e) {
+            // DOMException isn't constructable in older browsers, so fake it.
+            var error = new Error(message);
+            error.name = 'QuotaExceededError';
+            error.code = 22;
+            return error;
+        }
+    }
+
+    // Lists every declared key and prefix, for debugging. Each is described by a frozen object:
+    //   - key: the key, as its store knows it, or undefined for prefixes.
+    //   - prefix: the prefix, as its store knows it, or undefined for keys.
+    //   - namespace: the namespace of the store, if any.
+    //   - name: the name of the store, if any.
+    //   - declaredAt: the line of code that declared the key, from the stack trace, if the browser
+    //     provides one.
+    //   - backend: the name of the backend in Store.backendMap the store is using, like 'local',
+    //     or the backend itself if it's not one of those.
+    //   - bytes: approximate number of bytes the value and its metadata take up in the backend, or
+    //     for prefixes, the values under them. It's null for async stores, whose backends can't be
+    //     read synchronously.
+    // Returns a frozen array.
+    Store.registry = function () {
+        var keys = Object.keys(__keyRegistry).map(function (key) {
+            return describeRegistration(__keyRegistry[key], function (backend) {
+                return entrySize(backend, key);
+            });
+        });
+        var prefixes = Object.keys(__prefixRegistry).map(function (prefix) {
+            return describeRegistration(__prefixRegistry[prefix], function (backend) {
+                return listKeys(backend).filter(function (key) {
+                    return startsWith(key, prefix) &&
+                        !Object.prototype.hasOwnProperty.call(__keyRegistry, key);
+                }).reduce(function (bytes, key) {
+                    return bytes + entrySize(backend, key);
+                }, 0);
+            });
+        });
+        return Object.freeze(keys.concat(prefixes));
     };
 
-    // Utility methods for use in the default transformer.
-    function pass(v) {return v;}
+    // Lists the orphaned entries in a backend: values and metadata at keys that no store has
+    // declared, usually left behind by old releases. Nothing is removed.
+    // Takes a backend or backend string. The backend must be able to list its keys, with a `keys`
+    // method or, like Storage, with `length` and `key`.
+    // Returns an array of `{key, bytes}`, where `key` is the key in the backend and `bytes`
+    // approximates the space the value and its metadata take up. Async backends return a promise
+    // for it.
+    Store.findOrphans = function (backend) {
+        backend = resolveBackend(backend);
+        // The sync and async helpers only look at the `async` flag, so the backend stands in for a
+        // store.
+        return run(backend, function () {
+            return then(backend, listKeys(backend), function (keys) {
+                return findOrphans(backend, keys);
+            });
+        });
+    };
+
+    // Removes orphaned entries, as listed by Store.findOrphans, from a backend. Other apps and
+    // libraries may share the backend, so only the orphans that are explicitly allowed are removed.
+    // Takes a backend or backend string, and options:
+    //   - allow: array of keys and RegExps matching the keys of the orphans that may be removed.
+    //     Required.
+    // Returns the array of orphans removed, or a promise for it with async backends.
+    Store.collectOrphans = function (backend, opts) {
+        backend = resolveBackend(backend);
+        return run(backend, function () {
+            if (!(opts && Array.isArray(opts.allow))) {
+                throw new TypeError('collectOrphans requires an `allow` list of keys and RegExps');
+            }
+            return then(backend, Store.findOrphans(backend), function (orphans) {
+                orphans = orphans.filter(function (orphan) {
+                    // A store may have declared the key since the orphans were found.
+                    return isAllowed(opts.allow, orphan.key) && !isRegistered(orphan.key);
+                });
+                return then(backend, series(backend, orphans, function (orphan) {
+                    return then(backend, backend.removeItem(orphan.key), function () {
+                        return backend.removeItem(metaKey(orphan.key));
+                    });
+                }), function () {
+                    return orphans;
+                });
+            });
+        });
+    };
 
-    // Clears the registry of all known keys. **Do not use this in production.**
+    // Clears the registries of all known keys and prefixes. **Do not use this in production.**
     Store.clearKeyRegistry = function () {
         __keyRegistry = {};
+        __prefixRegistry = {};
     };
 
     // If AMD is around, call define and return the constructor.
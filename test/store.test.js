@@ -1,4 +1,4 @@
-/* global describe, it, beforeEach, expect */
+/* global describe, it, beforeEach, afterEach, expect */
 'use strict';
 
 define(function (require) {
@@ -16,6 +16,7 @@ define(function (require) {
     function cleanup() {
         localStorage.clear();
         sessionStorage.clear();
+        Store.backendMap.memory.clear();
         Store.clearKeyRegistry();
     }
 
@@ -26,6 +27,20 @@ define(function (require) {
         clear: noop
     });
 
+    // Wraps a backend so that its methods return promises, like an async backend's would.
+    function asyncBackend(backend) {
+        var wrapped = { async: true };
+        ['setItem', 'getItem', 'removeItem', 'clear'].forEach(function (methodName) {
+            wrapped[methodName] = function () {
+                var args = arguments;
+                return Promise.resolve().then(function () {
+                    return backend[methodName].apply(backend, args);
+                });
+            };
+        });
+        return wrapped;
+    }
+
     var integerTransformer = {
         parse: function (val) {
             return parseInt(val, 10);
@@ -167,6 +182,83 @@ define(function (require) {
             }).to.throwError(/All keys must be strings/);
         });
 
+        it('takes objects describing keys', function () {
+            var store = new Store();
+            expect(
+                store.setKeys([{ key: 'example', ttl: 1000 }, 'other'])
+            ).to.eql(['example', 'other']);
+        });
+
+        it('should throw if a key object has no string key', function () {
+            var store = new Store();
+            expect(function () {
+                store.setKeys([{ ttl: 1000 }]);
+            }).to.throwError(/All keys must be strings, or objects with a string key/);
+        });
+
+        it('should not keep keys declared if the constructor throws', function () {
+            new Store('taken');
+            [
+                { onQuotaExceeded: 'panic' },
+                { sync: 'carrier pigeon' },
+                { cache: 'yes' },
+                { transformer: Store.encryptingTransformer({}) },
+                { backend: brokenStorage }
+            ].forEach(function (opts) {
+                expect(function () {
+                    new Store(['user', 'auth'], opts);
+                }).to.throwError();
+            });
+            expect(function () {
+                new Store(['user', 'taken']);
+            }).to.throwError(/Attempting to declare already declared key: taken/);
+            expect(function () {
+                new Store(['user', 'auth']);
+            }).to.not.throwError();
+        });
+
+        it('should not allow keys reserved for internal use', function () {
+            var store = new Store('auth');
+            expect(function () {
+                new Store('__multistore__:auth');
+            }).to.throwError(/Key __multistore__:auth overlaps __multistore__:, which is reserved/);
+            expect(function () {
+                new Store({ prefix: '_' });
+            }).to.throwError(/Prefix _ overlaps __multistore__:, which is reserved/);
+            expect(function () {
+                new Store('__multistore_lock__:auth');
+            }).to.throwError(/overlaps __multistore_lock__:/);
+            expect(function () {
+                new Store({ prefix: '__multistore_sync__:' });
+            }).to.throwError(/overlaps __multistore_sync__:/);
+            expect(Store.registry().length).to.be(1);
+            expect(store.get('auth')).to.be(null);
+        });
+
+        it('should not be able to declare keys reserved for internal use', function () {
+            var store = new Store([], { namespace: 'app' });
+            expect(store.canDeclare('__multistore__:auth')).to.be(false);
+            expect(store.canDeclare({ prefix: '_' })).to.be(false);
+            expect(store.canDeclare('auth')).to.be(true);
+        });
+
+        it('should not allow namespaces to put keys under reserved prefixes', function () {
+            expect(function () {
+                new Store('auth', { namespace: '__multistore__' });
+            }).to.throwError(/reserved for internal use as prefix __multistore__:/);
+            var store = new Store([], { namespace: '__multistore__' });
+            expect(store.canDeclare('auth')).to.be(false);
+            expect(store.canDeclare({ prefix: 'draft:' })).to.be(false);
+        });
+
+        it('should release keys it no longer uses', function () {
+            var store = new Store(['example', 'other'], { namespace: 'app' });
+            store.setKeys(['example']);
+            expect(function () {
+                new Store('other', { namespace: 'app' });
+            }).not.to.throwError();
+        });
+
         it('should make store.keys available', function () {
             var store = new Store();
             store.setKeys(['example', 'other', 'example']);
@@ -285,6 +377,15 @@ define(function (require) {
             expect(localStorage.example).to.be('test');
         });
 
+        it('should fallback to memory when storage is broken', function () {
+            var store = new Store('example', {
+                backend: [brokenStorage, 'memory']
+            });
+            store.set('example', 'test');
+            expect(Store.backendMap.memory.getItem('example')).to.be('test');
+            expect(localStorage.example).to.be(undefined);
+        });
+
         describe('set backend', function () {
 
             beforeEach(cleanup);
@@ -299,6 +400,83 @@ define(function (require) {
                 expect(localStorage.example1).to.be(undefined);
             });
 
+            // Memory backend whose setItem starts failing after `count` successful calls to it
+            // for store keys, once `armed` is set.
+            function failingBackend(count) {
+                var memory = new Store.MemoryStorage();
+                var setItem = memory.setItem;
+                memory.armed = false;
+                memory.setItem = function (key, value) {
+                    if (this.armed && count-- <= 0) {
+                        throw new Error('Write failed');
+                    }
+                    return setItem.call(this, key, value);
+                };
+                return memory;
+            }
+
+            it('should leave the old backend alone if copying fails', function () {
+                var store = new Store(['example1', 'example2']);
+                store.set('example1', '10');
+                store.set('example2', '20');
+                var failing = failingBackend(1);
+                failing.armed = true;
+                expect(function () {
+                    store.setBackend(failing);
+                }).to.throwError(/Write failed/);
+                expect(store.backend).to.be(localStorage);
+                expect(localStorage.example1).to.be('10');
+                expect(localStorage.example2).to.be('20');
+                expect(failing.length).to.be(0);
+            });
+
+            it('should restore what was in the new backend if copying fails', function () {
+                var store = new Store(['example1', 'example2']);
+                store.set('example1', '10');
+                store.set('example2', '20');
+                var failing = failingBackend(1);
+                failing.setItem('example1', 'before');
+                failing.armed = true;
+                expect(function () {
+                    store.setBackend(failing);
+                }).to.throwError(/Write failed/);
+                expect(failing.getItem('example1')).to.be('before');
+                expect(failing.getItem('example2')).to.be(null);
+            });
+
+            it('should check the data arrived intact', function () {
+                var store = new Store('example');
+                store.set('example', '10');
+                var lossy = new Store.MemoryStorage();
+                var getItem = lossy.getItem;
+                lossy.getItem = function (key) {
+                    return (key === 'example' ? 'garbage' : getItem.call(this, key));
+                };
+                expect(function () {
+                    store.setBackend(lossy);
+                }).to.throwError(/Failed to verify data copied to the new backend at key: example/);
+                expect(store.backend).to.be(localStorage);
+                expect(localStorage.example).to.be('10');
+            });
+
+            it('should leave the old backend alone if copying fails in async stores', function () {
+                var store = new Store(['example1', 'example2'], { async: true });
+                var failing = failingBackend(1);
+                return store.set('example1', '10').then(function () {
+                    return store.set('example2', '20');
+                }).then(function () {
+                    failing.armed = true;
+                    return store.setBackend(asyncBackend(failing));
+                }).then(function () {
+                    throw new Error('Should have rejected');
+                }, function (e) {
+                    expect(e.message).to.be('Write failed');
+                    expect(store.backend).to.be(localStorage);
+                    expect(localStorage.example1).to.be('10');
+                    expect(failing.length).to.be(0);
+                });
+            });
+
             it('should follow the same fallback procedure', function () {
                 var store = new Store(['example1', 'example2']);
                 store.set('example1', '10');
@@ -313,52 +491,3286 @@ define(function (require) {
 
     });
 
-    describe('transformer', function () {
+    describe('memory backend', function () {
 
-        describe('parse', function () {
+        beforeEach(cleanup);
 
-            beforeEach(cleanup);
+        it('should pass testBackend', function () {
+            var store = new Store();
+            expect(function () {
+                store.testBackend(new Store.MemoryStorage());
+            }).not.to.throwError();
+        });
 
-            it('should support JSON as transformer', function () {
-                var store = new Store('example', {
-                    transformer: JSON
-                });
-                localStorage.example = '{ "a": 10 }';
-                expect(
-                    store.get('example')
-                ).to.eql({ a: 10 });
+        it('should behave like Storage', function () {
+            var memory = new Store.MemoryStorage();
+            expect(memory.getItem('example')).to.be(null);
+            memory.setItem('example', 10);
+            expect(memory.getItem('example')).to.be('10');
+            expect(memory.length).to.be(1);
+            expect(memory.key(0)).to.be('example');
+            memory.removeItem('example');
+            expect(memory.getItem('example')).to.be(null);
+            memory.setItem('example', 'test');
+            memory.clear();
+            expect(memory.length).to.be(0);
+        });
+
+        it('should throw QuotaExceededError when the quota is full', function () {
+            var memory = new Store.MemoryStorage({ quota: 20 });
+            memory.setItem('a', '1234');
+            expect(function () {
+                memory.setItem('b', '12345');
+            }).to.throwError(function (e) {
+                expect(e.name).to.be('QuotaExceededError');
+                expect(e.code).to.be(22);
             });
+            expect(memory.getItem('a')).to.be('1234');
+            expect(memory.getItem('b')).to.be(null);
+        });
 
-            it('should support custom transformer', function () {
-                var store = new Store('example', {
-                    transformer: integerTransformer
+        it('should allow overwriting a value within the quota', function () {
+            var memory = new Store.MemoryStorage({ quota: 20 });
+            memory.setItem('a', '123456789');
+            expect(function () {
+                memory.setItem('a', '12345678');
+            }).not.to.throwError();
+            expect(memory.bytesUsed).to.be(18);
+        });
+
+        it('should fail testBackend when it has no room', function () {
+            expect(function () {
+                new Store('example', {
+                    backend: new Store.MemoryStorage({ quota: 0 })
                 });
-                localStorage.example = '10';
-                expect(
-                    store.get('example')
-                ).to.eql(10);
+            }).to.throwError(/No usable backends could be found/);
+        });
+
+        it('should reject an invalid quota', function () {
+            expect(function () {
+                new Store.MemoryStorage({ quota: -1 });
+            }).to.throwError(/quota must be a non-negative number/);
+        });
+
+    });
+
+    describe('ttl', function () {
+
+        var now = Date.now;
+
+        // Move the clock forward by `ms`.
+        function travel(ms) {
+            var then = Date.now();
+            Date.now = function () {
+                return then + ms;
+            };
+        }
+
+        beforeEach(cleanup);
+
+        afterEach(function () {
+            Date.now = now;
+        });
+
+        it('should return values that have not expired', function () {
+            var store = new Store('auth');
+            store.set('auth', 'token', { ttl: 1000 });
+            travel(500);
+            expect(store.get('auth')).to.be('token');
+        });
+
+        it('should remove expired values on get', function () {
+            var store = new Store('auth');
+            store.set('auth', 'token', { ttl: 1000 });
+            travel(1000);
+            expect(store.get('auth')).to.be(undefined);
+            expect(localStorage.auth).to.be(undefined);
+            expect(localStorage.length).to.be(0);
+        });
+
+        it('should use the ttl the key was declared with', function () {
+            var store = new Store({ key: 'auth', ttl: 1000 });
+            store.set('auth', 'token');
+            travel(1000);
+            expect(store.get('auth')).to.be(undefined);
+        });
+
+        it('should let set override the declared ttl', function () {
+            var store = new Store({ key: 'auth', ttl: 1000 });
+            store.set('auth', 'token', { ttl: 5000 });
+            travel(1000);
+            expect(store.get('auth')).to.be('token');
+        });
+
+        it('should forget the expiry when set without a ttl', function () {
+            var store = new Store('auth');
+            store.set('auth', 'token', { ttl: 1000 });
+            store.set('auth', 'other');
+            travel(1000);
+            expect(store.get('auth')).to.be('other');
+            expect(localStorage.length).to.be(1);
+        });
+
+        it('should not leave metadata behind on remove', function () {
+            var store = new Store('auth');
+            store.set('auth', 'token', { ttl: 1000 });
+            store.remove('auth');
+            expect(localStorage.length).to.be(0);
+        });
+
+        it('should work with any transformer', function () {
+            var store = new Store('auth', { transformer: JSON });
+            store.set('auth', { token: 'abc' }, { ttl: 1000 });
+            expect(localStorage.auth).to.be('{"token":"abc"}');
+            expect(store.get('auth')).to.eql({ token: 'abc' });
+        });
+
+        it('should purge expired values', function () {
+            var store = new Store(['auth', 'user', 'prefs']);
+            store.set('auth', 'token', { ttl: 1000 });
+            store.set('user', 'tom', { ttl: 5000 });
+            store.set('prefs', 'dark');
+            travel(1000);
+            expect(store.purgeExpired()).to.eql(['auth']);
+            expect(localStorage.auth).to.be(undefined);
+            expect(localStorage.user).to.be('tom');
+            expect(localStorage.prefs).to.be('dark');
+        });
+
+        it('should keep expiry when switching backend', function () {
+            var store = new Store('auth');
+            store.set('auth', 'token', { ttl: 1000 });
+            store.setBackend('session');
+            expect(localStorage.length).to.be(0);
+            travel(1000);
+            expect(store.get('auth')).to.be(undefined);
+            expect(sessionStorage.length).to.be(0);
+        });
+
+        it('should throw on an invalid ttl', function () {
+            var store = new Store('auth');
+            expect(function () {
+                store.set('auth', 'token', { ttl: -1 });
+            }).to.throwError(/TTL must be a positive number/);
+            expect(function () {
+                new Store({ key: 'user', ttl: 'forever' });
+            }).to.throwError(/TTL must be a positive number/);
+        });
+
+        it('should expire values in async stores', function () {
+            var store = new Store('auth', { async: true });
+            return store.set('auth', 'token', { ttl: 1000 }).then(function () {
+                travel(1000);
+                return store.purgeExpired();
+            }).then(function (keys) {
+                expect(keys).to.eql(['auth']);
+                expect(localStorage.length).to.be(0);
             });
+        });
+
+    });
+
+    describe('batch', function () {
 
+        beforeEach(cleanup);
+
+        // Memory backend whose setItem throws for `failKey`.
+        function failingFor(failKey) {
+            var memory = new Store.MemoryStorage();
+            var setItem = memory.setItem;
+            memory.setItem = function (key, value) {
+                if (key === failKey) {
+                    throw new Error('Write failed');
+                }
+                return setItem.call(this, key, value);
+            };
+            return memory;
+        }
+
+        it('should get many keys', function () {
+            var store = new Store(['user', 'auth'], { transformer: JSON });
+            store.set('user', { id: 10 });
+            store.set('auth', 'token');
+            expect(store.getMany(['user', 'auth'])).to.eql({
+                user: { id: 10 },
+                auth: 'token'
+            });
         });
 
-        describe('stringify', function () {
+        it('should set many keys', function () {
+            var store = new Store(['user', 'auth'], { transformer: JSON });
+            expect(store.setMany({ user: { id: 10 }, auth: 'token' })).to.eql({
+                user: { id: 10 },
+                auth: 'token'
+            });
+            expect(localStorage.user).to.be('{"id":10}');
+            expect(localStorage.auth).to.be('"token"');
+        });
 
-            beforeEach(cleanup);
+        it('should remove many keys', function () {
+            var store = new Store(['user', 'auth', 'other']);
+            store.setMany({ user: 'tom', auth: 'token', other: 'test' });
+            store.removeMany(['user', 'auth']);
+            expect(localStorage.user).to.be(undefined);
+            expect(localStorage.auth).to.be(undefined);
+            expect(localStorage.other).to.be('test');
+        });
 
-            it('should support JSON as transformer', function () {
-                var store = new Store('example', {
-                    transformer: JSON
-                });
-                store.set('example', { a: 10 });
-                expect(localStorage.example).to.be('{"a":10}');
+        it('should not write anything if a key is undeclared', function () {
+            var store = new Store(['user', 'auth']);
+            expect(function () {
+                store.setMany({ user: 'tom', evil: true });
+            }).to.throwError(/Attempting to set undeclared key: evil/);
+            expect(localStorage.length).to.be(0);
+            expect(function () {
+                store.getMany(['user', 'evil']);
+            }).to.throwError(/Attempting to get undeclared key: evil/);
+        });
+
+        it('should not write anything if a value is invalid', function () {
+            var store = new Store({
+                user: {},
+                auth: { validate: { type: 'string' } }
             });
+            expect(function () {
+                store.setMany({ user: 'tom', auth: 10 });
+            }).to.throwError(/Invalid value for key auth/);
+            expect(localStorage.length).to.be(0);
+        });
 
-            it('should support custom transformer', function () {
-                var store = new Store('example', {
-                    transformer: integerTransformer
+        it('should roll back if a write fails partway', function () {
+            var backend = failingFor('auth');
+            var store = new Store(['user', 'auth'], { backend: backend });
+            backend.data.user = 'old';
+            var changes = [];
+            store.on('change', 'user', function (change) {
+                changes.push(change);
+            });
+            expect(function () {
+                store.setMany({ user: 'new', auth: 'token' });
+            }).to.throwError(/Write failed/);
+            expect(backend.getItem('user')).to.be('old');
+            expect(backend.getItem('auth')).to.be(null);
+            expect(changes).to.eql([]);
+        });
+
+        it('should roll back if a remove fails partway', function () {
+            var backend = new Store.MemoryStorage();
+            var store = new Store(['user', 'auth'], { backend: backend });
+            store.setMany({ user: 'tom', auth: 'token' });
+            backend.removeItem = function (key) {
+                if (key === 'auth') {
+                    throw new Error('Remove failed');
+                }
+                return Store.MemoryStorage.prototype.removeItem.call(this, key);
+            };
+            expect(function () {
+                store.removeMany(['user', 'auth']);
+            }).to.throwError(/Remove failed/);
+            expect(backend.getItem('user')).to.be('tom');
+            expect(backend.getItem('auth')).to.be('token');
+        });
+
+        it('should fire change events once everything is written', function () {
+            var store = new Store(['user', 'auth']);
+            var changes = [];
+            store.on('change', 'user', function (change) {
+                changes.push(change);
+            });
+            store.setMany({ user: 'tom', auth: 'token' });
+            store.removeMany(['user']);
+            expect(changes).to.eql([{
+                key: 'user',
+                oldValue: undefined,
+                newValue: 'tom',
+                source: 'store'
+            }, {
+                key: 'user',
+                oldValue: 'tom',
+                newValue: undefined,
+                source: 'store'
+            }]);
+        });
+
+        it('should roll back in async stores', function () {
+            var backend = failingFor('auth');
+            var store = new Store(['user', 'auth'], {
+                async: true,
+                backend: asyncBackend(backend)
+            });
+            backend.data.user = 'old';
+            return store.setMany({ user: 'new', auth: 'token' }).then(function () {
+                throw new Error('Should have rejected');
+            }, function (e) {
+                expect(e.message).to.be('Write failed');
+                expect(backend.getItem('user')).to.be('old');
+                return store.getMany(['user', 'auth']);
+            }).then(function (values) {
+                expect(values).to.eql({ user: 'old', auth: null });
+            });
+        });
+
+    });
+
+    describe('snapshots', function () {
+
+        var now = Date.now;
+
+        beforeEach(cleanup);
+
+        afterEach(function () {
+            Date.now = now;
+        });
+
+        it('should export every value raw, with metadata', function () {
+            var store = new Store(['user', { key: 'auth', ttl: 1000 }, 'theme'], {
+                namespace: 'app',
+                name: 'session',
+                transformer: JSON
+            });
+            Date.now = function () {
+                return 5000;
+            };
+            store.setMany({ user: { id: 10 }, auth: 'token' });
+            expect(JSON.parse(JSON.stringify(store.export()))).to.eql({
+                format: 'multistore',
+                version: 1,
+                exportedAt: 5000,
+                namespace: 'app',
+                name: 'session',
+                backend: 'local',
+                transformer: 'JSON',
+                entries: [
+                    { key: 'user', meta: {}, raw: '{"id":10}' },
+                    { key: 'auth', meta: { expires: 6000 }, raw: '"token"' }
+                ]
+            });
+        });
+
+        it('should export parsed values', function () {
+            var store = new Store(['user'], { transformer: JSON });
+            store.set('user', { id: 10 });
+            expect(store.export({ parsed: true }).entries).to.eql([
+                { key: 'user', meta: {}, raw: '{"id":10}', value: { id: 10 } }
+            ]);
+            expect(store.export({ raw: false, parsed: true }).entries).to.eql([
+                { key: 'user', meta: {}, value: { id: 10 } }
+            ]);
+            expect(function () {
+                store.export({ raw: false });
+            }).to.throwError(/export must include raw or parsed values/);
+        });
+
+        it('should export keys under prefixes and leave out expired values', function () {
+            var store = new Store(['user', { prefix: 'draft:', ttl: 1000 }]);
+            store.set('draft:1', 'hello');
+            Date.now = function () {
+                return now() + 2000;
+            };
+            store.set('draft:2', 'world');
+            expect(store.export().entries.map(function (item) {
+                return item.key;
+            })).to.eql(['draft:2']);
+        });
+
+        it('should describe custom backends and transformers', function () {
+            var store = new Store('user', {
+                backend: new Store.MemoryStorage(),
+                transformer: integerTransformer
+            });
+            var snapshot = store.export();
+            expect(snapshot.backend).to.be('custom');
+            expect(snapshot.transformer).to.be('custom');
+        });
+
+        it('should import a snapshot, leaving other values alone', function () {
+            var snapshot = new Store(['user', 'auth'], { transformer: JSON });
+            snapshot.setMany({ user: { id: 10 }, auth: 'token' });
+            snapshot = JSON.parse(JSON.stringify(snapshot.export()));
+            cleanup();
+
+            var store = new Store(['user', 'auth', 'theme'], { transformer: JSON });
+            store.setMany({ user: { id: 2 }, theme: 'dark' });
+            expect(store.import(snapshot)).to.eql(['user', 'auth']);
+            expect(store.getMany(['user', 'auth', 'theme'])).to.eql({
+                user: { id: 10 },
+                auth: 'token',
+                theme: 'dark'
+            });
+        });
+
+        it('should import parsed values', function () {
+            var store = new Store(['user'], { transformer: JSON });
+            store.import({
+                format: 'multistore',
+                version: 1,
+                entries: [{ key: 'user', value: { id: 10 } }]
+            });
+            expect(localStorage.user).to.be('{"id":10}');
+        });
+
+        it('should replace every other value', function () {
+            var store = new Store(['user', { prefix: 'draft:' }]);
+            store.setMany({ user: 'tom', 'draft:1': 'hello' });
+            var snapshot = store.export();
+            store.setMany({ user: 'bob', 'draft:2': 'world' });
+            var changes = [];
+            store.on('change', 'draft:2', function (change) {
+                changes.push(change);
+            });
+            store.import(snapshot, { mode: 'replace' });
+            expect(store.list()).to.eql(['user', 'draft:1']);
+            expect(store.get('user')).to.be('tom');
+            expect(changes).to.eql([{
+                key: 'draft:2',
+                oldValue: 'world',
+                newValue: undefined,
+                source: 'store'
+            }]);
+            expect(function () {
+                store.import(snapshot, { mode: 'overwrite' });
+            }).to.throwError(/mode must be "merge" or "replace"/);
+        });
+
+        it('should not write anything if a key is undeclared', function () {
+            var store = new Store(['user']);
+            expect(function () {
+                store.import({
+                    format: 'multistore',
+                    version: 1,
+                    entries: [{ key: 'user', raw: 'tom' }, { key: 'evil', raw: 'true' }]
                 });
-                store.set('example', '10.233242');
-                expect(localStorage.example).to.be('10');
+            }).to.throwError(/Attempting to import undeclared key: evil/);
+            expect(localStorage.length).to.be(0);
+        });
+
+        it('should not write anything if a value is invalid or unreadable', function () {
+            var store = new Store({
+                user: {},
+                auth: { validate: { type: 'string' } }
+            }, { transformer: JSON });
+            expect(function () {
+                store.import({
+                    format: 'multistore',
+                    version: 1,
+                    entries: [{ key: 'user', raw: '"tom"' }, { key: 'auth', raw: '10' }]
+                });
+            }).to.throwError(/Invalid value for key auth/);
+            expect(function () {
+                store.import({
+                    format: 'multistore',
+                    version: 1,
+                    entries: [{ key: 'user', raw: '"tom"' }, { key: 'auth', raw: '{' }]
+                });
+            }).to.throwError(/Failed to parse imported value at key auth/);
+            expect(localStorage.length).to.be(0);
+        });
+
+        it('should refuse anything but a supported snapshot', function () {
+            var store = new Store(['user']);
+            expect(function () {
+                store.import({ user: 'tom' });
+            }).to.throwError(/import takes a snapshot made by export/);
+            expect(function () {
+                store.import({ format: 'multistore', version: 2, entries: [] });
+            }).to.throwError(/Attempting to import unsupported snapshot version: 2/);
+            expect(function () {
+                store.import({ format: 'multistore', version: 1, entries: [{ key: 'user' }] });
+            }).to.throwError(/Snapshot entry has neither a raw nor a parsed value: user/);
+        });
+
+        it('should migrate values from older versions', function () {
+            var store = new Store(['user'], {
+                transformer: JSON,
+                version: 2,
+                migrations: {
+                    2: function (user) {
+                        return { name: user };
+                    }
+                }
+            });
+            store.import({
+                format: 'multistore',
+                version: 1,
+                entries: [{ key: 'user', raw: '"tom"', meta: { version: 1 } }]
+            });
+            expect(store.get('user')).to.eql({ name: 'tom' });
+            expect(function () {
+                store.import({
+                    format: 'multistore',
+                    version: 1,
+                    entries: [{ key: 'user', raw: '"tom"', meta: { version: 3 } }]
+                });
+            }).to.throwError(/written by version 3, which is newer than version 2/);
+        });
+
+        it('should export and import in async stores', function () {
+            var backend = new Store.MemoryStorage();
+            var store = new Store(['user', 'auth'], {
+                async: true,
+                backend: asyncBackend(backend),
+                transformer: JSON
+            });
+            var snapshot;
+            return store.setMany({ user: { id: 10 }, auth: 'token' }).then(function () {
+                return store.export();
+            }).then(function (result) {
+                snapshot = result;
+                return store.removeMany(['user', 'auth']);
+            }).then(function () {
+                return store.import(snapshot);
+            }).then(function (keys) {
+                expect(keys).to.eql(['user', 'auth']);
+                return store.getMany(['user', 'auth']);
+            }).then(function (values) {
+                expect(values).to.eql({ user: { id: 10 }, auth: 'token' });
+            });
+        });
+
+    });
+
+    describe('middleware', function () {
+
+        beforeEach(cleanup);
+
+        it('should run around get, set and remove', function () {
+            var store = new Store('user');
+            var calls = [];
+            store.use(function (op, key, value, next) {
+                calls.push(['outer', op, key, value]);
+                return next();
+            }).use(function (op, key, value, next) {
+                calls.push(['inner', op, key, value]);
+                return next();
+            });
+            expect(store.set('user', 'tom')).to.be('tom');
+            expect(store.get('user')).to.be('tom');
+            store.remove('user');
+            expect(calls).to.eql([
+                ['outer', 'set', 'user', 'tom'],
+                ['inner', 'set', 'user', 'tom'],
+                ['outer', 'get', 'user', undefined],
+                ['inner', 'get', 'user', undefined],
+                ['outer', 'remove', 'user', undefined],
+                ['inner', 'remove', 'user', undefined]
+            ]);
+        });
+
+        it('should let middleware change values', function () {
+            var store = new Store('user');
+            store.use(function (op, key, value, next) {
+                if (op === 'set') {
+                    return next(value.toUpperCase());
+                }
+                return next() + '!';
+            });
+            store.set('user', 'tom');
+            expect(localStorage.user).to.be('TOM');
+            expect(store.get('user')).to.be('TOM!');
+        });
+
+        it('should run around every write in batches and imports', function () {
+            var store = new Store(['a', 'b']);
+            var calls = [];
+            store.use(function (op, key, value, next) {
+                calls.push([op, key, value]);
+                return next();
+            });
+            store.setMany({ a: '1', b: '2' });
+            store.removeMany(['a']);
+            store.import({
+                format: 'multistore',
+                version: 1,
+                entries: [{ key: 'a', raw: '3' }]
+            }, { mode: 'replace' });
+            expect(calls).to.eql([
+                ['set', 'a', '1'],
+                ['set', 'b', '2'],
+                ['remove', 'a', undefined],
+                ['set', 'a', '3'],
+                ['remove', 'b', undefined]
+            ]);
+        });
+
+        it('should let middleware change values in batches', function () {
+            var store = new Store(['user', 'auth']);
+            var changes = [];
+            store.on('change', 'auth', function (change) {
+                changes.push(change.newValue);
+            });
+            store.use(function (op, key, value, next) {
+                return next(key === 'auth' ? '[redacted]' : value);
+            });
+            expect(store.setMany({ user: 'tom', auth: 'token' })).to.eql({
+                user: 'tom',
+                auth: '[redacted]'
+            });
+            expect(localStorage.auth).to.be('[redacted]');
+            expect(changes).to.eql(['[redacted]']);
+        });
+
+        it('should roll back a batch if middleware does not call next', function () {
+            var store = new Store(['user', 'auth']);
+            store.use(function (op, key, value, next) {
+                return (key === 'auth' ? undefined : next());
+            });
+            expect(function () {
+                store.setMany({ user: 'tom', auth: 'token' });
+            }).to.throwError(/Middleware must call next to set key: auth/);
+            expect(localStorage.length).to.be(0);
+        });
+
+        it('should let middleware answer get', function () {
+            var store = new Store('user');
+            store.use(function (op, key, value, next) {
+                return (op === 'get' ? 'cached' : next());
+            });
+            expect(store.get('user')).to.be('cached');
+        });
+
+        it('should check keys before running middleware', function () {
+            var store = new Store('user');
+            var called = false;
+            store.use(function (op, key, value, next) {
+                called = true;
+                return next();
+            });
+            expect(function () {
+                store.set('undeclared', 'evil');
+            }).to.throwError(/Attempting to set undeclared key: undeclared/);
+            expect(called).to.be(false);
+        });
+
+        it('should throw if middleware does not call next to set or remove', function () {
+            var store = new Store('user');
+            localStorage.user = 'tom';
+            store.use(noop);
+            expect(function () {
+                store.set('user', 'bob');
+            }).to.throwError(/Middleware must call next to set key: user/);
+            expect(function () {
+                store.remove('user');
+            }).to.throwError(/Middleware must call next to remove key: user/);
+            expect(localStorage.user).to.be('tom');
+        });
+
+        it('should not let middleware in sync stores call next later', function () {
+            var store = new Store('user');
+            var late;
+            store.use(function (op, key, value, next) {
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 0);
+                }).then(function () {
+                    try {
+                        next();
+                    } catch (e) {
+                        late = e;
+                    }
+                });
+            });
+            expect(function () {
+                store.set('user', 'tom');
+            }).to.throwError(/Middleware returned a promise to set key: user, but the store is/);
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 10);
+            }).then(function () {
+                expect(late.message).to.match(/called next after a sync store had finished/);
+                expect(localStorage.user).to.be(undefined);
+            });
+        });
+
+        it('should throw if middleware calls next twice', function () {
+            var store = new Store('user');
+            store.use(function (op, key, value, next) {
+                next();
+                return next();
+            });
+            expect(function () {
+                store.set('user', 'tom');
+            }).to.throwError(/Middleware called next more than once to set key: user/);
+        });
+
+        it('should not let middleware swallow failed writes', function () {
+            var store = new Store({ key: 'user', validate: { type: 'string' } });
+            store.use(function (op, key, value, next) {
+                try {
+                    return next();
+                } catch (e) {
+                    return value;
+                }
+            });
+            expect(function () {
+                store.set('user', 10);
+            }).to.throwError(/Invalid value for key user/);
+        });
+
+        it('should only accept functions', function () {
+            var store = new Store('user');
+            expect(function () {
+                store.use({});
+            }).to.throwError(TypeError);
+        });
+
+        it('should wait for writes that async middleware does not return', function () {
+            var backend = asyncBackend(localStorage);
+            var store = new Store({ key: 'user', validate: { type: 'string' } }, {
+                async: true,
+                backend: backend
+            });
+            store.use(function (op, key, value, next) {
+                next();
+                return Promise.resolve(value);
+            });
+            return store.set('user', 'tom').then(function () {
+                expect(localStorage.user).to.be('tom');
+                return store.set('user', 10);
+            }).then(function () {
+                throw new Error('Expected a rejection');
+            }, function (e) {
+                expect(e.message).to.match(/Invalid value for key user/);
+            });
+        });
+
+    });
+
+    describe('locking', function () {
+
+        var locks = Store.locks;
+        var setInterval = window.setInterval;
+
+        beforeEach(cleanup);
+
+        // Use leases, unless a test says otherwise, so they're tested in every browser.
+        beforeEach(function () {
+            Store.locks = null;
+        });
+
+        afterEach(function () {
+            Store.locks = locks;
+            window.setInterval = setInterval;
+        });
+
+        it('should update a value', function () {
+            var store = new Store('counter', { transformer: JSON });
+            store.set('counter', 1);
+            return store.update('counter', function (count) {
+                return count + 1;
+            }).then(function (count) {
+                expect(count).to.be(2);
+                expect(store.get('counter')).to.be(2);
+            });
+        });
+
+        it('should update a value in an async store', function () {
+            var store = new Store('counter', {
+                async: true,
+                backend: asyncBackend(localStorage),
+                transformer: JSON
+            });
+            return store.update('counter', function (count) {
+                return (count || 0) + 1;
+            }).then(function (count) {
+                expect(count).to.be(1);
+                expect(localStorage.counter).to.be('1');
+            });
+        });
+
+        it('should not lose concurrent updates', function () {
+            var store = new Store('counter', { transformer: JSON });
+            var updates = [];
+            for (var i = 0; i < 5; i++) {
+                updates.push(store.update('counter', function (count) {
+                    // Yield between the read and the write, so that unlocked updates would clash.
+                    return new Promise(function (resolve) {
+                        setTimeout(function () {
+                            resolve((count || 0) + 1);
+                        }, 5);
+                    });
+                }));
+            }
+            return Promise.all(updates).then(function () {
+                expect(store.get('counter')).to.be(5);
+            });
+        });
+
+        it('should compare and set', function () {
+            var store = new Store('queue', { transformer: JSON });
+            store.set('queue', ['a']);
+            return store.compareAndSet('queue', ['b'], ['c']).then(function (set) {
+                expect(set).to.be(false);
+                expect(store.get('queue')).to.eql(['a']);
+                return store.compareAndSet('queue', ['a'], ['a', 'b']);
+            }).then(function (set) {
+                expect(set).to.be(true);
+                expect(store.get('queue')).to.eql(['a', 'b']);
+            });
+        });
+
+        it('should compare values deeply', function () {
+            var store = new Store('user', { transformer: Store.richJSONTransformer });
+            var user = { name: 'tom', born: new Date(0), tags: new Set(['a']) };
+            store.set('user', user);
+            var expected = { name: 'tom', born: new Date(0), tags: new Set(['a']) };
+            return store.compareAndSet('user', expected, null).then(function (set) {
+                expect(set).to.be(true);
+            });
+        });
+
+        it('should reject on undeclared keys', function () {
+            var store = new Store('counter');
+            return store.update('undeclared', noop).then(function () {
+                throw new Error('Expected a rejection');
+            }, function (e) {
+                expect(e.message).to.match(/Attempting to update undeclared key: undeclared/);
+            });
+        });
+
+        it('should release the lock when the update fails', function () {
+            var store = new Store('counter');
+            return store.update('counter', function () {
+                throw new Error('Failed');
+            }).then(null, function () {
+                expect(localStorage['__multistore_lock__:counter']).to.be(undefined);
+                return store.update('counter', function () {
+                    return 1;
+                });
+            }).then(function (count) {
+                expect(count).to.be(1);
+            });
+        });
+
+        it('should wait for leases held by other tabs', function () {
+            var store = new Store('counter');
+            var lease = '__multistore_lock__:counter';
+            localStorage[lease] = JSON.stringify({ id: 'other', expires: Date.now() + 5000 });
+            var released = false;
+            setTimeout(function () {
+                released = true;
+                localStorage.removeItem(lease);
+            }, 50);
+            return store.update('counter', function () {
+                expect(released).to.be(true);
+                return 1;
+            });
+        });
+
+        it('should take over expired leases', function () {
+            var store = new Store('counter');
+            localStorage['__multistore_lock__:counter'] =
+                JSON.stringify({ id: 'other', expires: Date.now() - 1 });
+            return store.update('counter', function () {
+                return 1;
+            }).then(function () {
+                expect(localStorage['__multistore_lock__:counter']).to.be(undefined);
+            });
+        });
+
+        it('should renew the lease while the lock is held', function () {
+            var renew;
+            window.setInterval = function (fn) {
+                renew = fn;
+                return setInterval.apply(window, arguments);
+            };
+            var store = new Store('counter');
+            var lease = '__multistore_lock__:counter';
+            return store.update('counter', function () {
+                var expires = JSON.parse(localStorage[lease]).expires;
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 5);
+                }).then(function () {
+                    renew();
+                    expect(JSON.parse(localStorage[lease]).expires).to.be.greaterThan(expires);
+                    return 1;
+                });
+            }).then(function () {
+                expect(localStorage[lease]).to.be(undefined);
+            });
+        });
+
+        it('should reject if the lease was taken over while the lock was held', function () {
+            var store = new Store('counter');
+            var lease = '__multistore_lock__:counter';
+            var other = JSON.stringify({ id: 'other', expires: Date.now() + 5000 });
+            return store.update('counter', function () {
+                localStorage[lease] = other;
+                return 1;
+            }).then(function () {
+                throw new Error('Expected a rejection');
+            }, function (e) {
+                expect(e.message).to.match(/Lost the lock before it was released/);
+                // The other tab's lease is left alone.
+                expect(localStorage[lease]).to.be(other);
+            });
+        });
+
+        it('should use Web Locks where available', function () {
+            var names = [];
+            Store.locks = {
+                request: function (name, fn) {
+                    names.push(name);
+                    return Promise.resolve().then(fn);
+                }
+            };
+            var store = new Store('counter', { namespace: 'app' });
+            return store.update('counter', function () {
+                expect(localStorage['__multistore_lock__:app:counter']).to.be(undefined);
+                return 1;
+            }).then(function () {
+                expect(names).to.eql(['__multistore_lock__:app:counter']);
+            });
+        });
+
+    });
+
+    describe('view', function () {
+
+        beforeEach(cleanup);
+
+        it('should read the keys in the view', function () {
+            var store = new Store(['user', 'auth']);
+            store.set('user', 'tom');
+            var view = store.view(['user'], { readOnly: true });
+            expect(view.keys).to.eql(['user']);
+            expect(view.get('user')).to.be('tom');
+            expect(view.getMany(['user'])).to.eql({ user: 'tom' });
+        });
+
+        it('should not allow keys outside the view', function () {
+            var store = new Store(['user', 'auth']);
+            var view = store.view(['user']);
+            expect(function () {
+                view.get('auth');
+            }).to.throwError(/Attempting to get undeclared key: auth/);
+            expect(function () {
+                view.set('auth', 'token');
+            }).to.throwError(/Attempting to set undeclared key: auth/);
+            expect(function () {
+                view.getMany(['user', 'auth']);
+            }).to.throwError(/Attempting to get undeclared key: auth/);
+        });
+
+        it('should only view declared keys', function () {
+            var store = new Store('user');
+            expect(function () {
+                store.view(['user', 'auth']);
+            }).to.throwError(/Attempting to view undeclared key: auth/);
+        });
+
+        it('should not allow changes through read-only views', function () {
+            var store = new Store('user');
+            store.set('user', 'tom');
+            var view = store.view(['user'], { readOnly: true });
+            expect(function () {
+                view.set('user', 'evil');
+            }).to.throwError(/Attempting to set in a read-only view: user/);
+            expect(function () {
+                view.remove('user');
+            }).to.throwError(/Attempting to remove in a read-only view: user/);
+            expect(function () {
+                view.setMany({ user: 'evil' });
+            }).to.throwError(/Attempting to set in a read-only view: user/);
+            expect(function () {
+                view.removeMany(['user']);
+            }).to.throwError(/Attempting to remove in a read-only view: user/);
+            expect(store.get('user')).to.be('tom');
+        });
+
+        it('should change values through writable views', function () {
+            var store = new Store(['user', 'auth']);
+            var view = store.view(['user']);
+            view.set('user', 'tom');
+            expect(store.get('user')).to.be('tom');
+            view.remove('user');
+            expect(store.get('user')).to.be(null);
+        });
+
+        it('should pass on changes to listeners', function () {
+            var store = new Store(['user', 'auth']);
+            var view = store.view(['user'], { readOnly: true });
+            var changes = [];
+            function listener(change) {
+                changes.push(change.newValue);
+            }
+            expect(view.on('change', 'user', listener)).to.be(view);
+            expect(function () {
+                view.on('change', 'auth', listener);
+            }).to.throwError(/Attempting to listen to undeclared key: auth/);
+            store.set('user', 'tom');
+            view.off('change', 'user', listener);
+            store.set('user', 'bob');
+            expect(changes).to.eql(['tom']);
+        });
+
+        it('should not give access to the store', function () {
+            var store = new Store(['user', 'auth']);
+            var view = store.view(['user'], { readOnly: true });
+            expect(Object.isFrozen(view)).to.be(true);
+            expect(Object.isFrozen(view.keys)).to.be(true);
+            Object.getOwnPropertyNames(view).forEach(function (name) {
+                expect(view[name]).not.to.be(store);
+            });
+        });
+
+        it('should reject on keys outside the view of async stores', function () {
+            var store = new Store(['user', 'auth'], {
+                async: true,
+                backend: asyncBackend(localStorage)
+            });
+            var view = store.view(['user'], { readOnly: true });
+            return view.set('user', 'evil').then(function () {
+                throw new Error('Expected a rejection');
+            }, function (e) {
+                expect(e.message).to.match(/Attempting to set in a read-only view: user/);
+                return view.get('user');
+            }).then(function (value) {
+                expect(value).to.be(null);
+            });
+        });
+
+    });
+
+    describe('destroy', function () {
+
+        beforeEach(cleanup);
+
+        it('should release the keys for other stores', function () {
+            var store = new Store(['user', 'auth']);
+            store.destroy();
+            expect(function () {
+                new Store(['user', 'auth']);
+            }).not.to.throwError();
+        });
+
+        it('should leave the data by default', function () {
+            var store = new Store('user');
+            store.set('user', 'tom');
+            store.destroy();
+            expect(localStorage.user).to.be('tom');
+        });
+
+        it('should remove the data if asked', function () {
+            var store = new Store(['user', 'auth']);
+            store.setMany({ user: 'tom', auth: 'token' }, { ttl: 1000 });
+            localStorage.other = 'test';
+            store.destroy({ removeData: true });
+            expect(localStorage.length).to.be(1);
+            expect(localStorage.other).to.be('test');
+        });
+
+        it('should make every method throw', function () {
+            var store = new Store('user');
+            store.destroy();
+            var methods = ['get', 'set', 'remove', 'setKeys', 'setBackend', 'on', 'destroy'];
+            methods.forEach(function (name) {
+                expect(function () {
+                    store[name]('user');
+                }).to.throwError(/Attempting to use a destroyed store/);
+            });
+        });
+
+        it('should stop listening to other tabs', function () {
+            var store = new Store('user');
+            var changes = 0;
+            store.on('change', 'user', function () {
+                changes++;
+            });
+            store.destroy();
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: 'user',
+                newValue: 'test',
+                storageArea: localStorage
+            }));
+            expect(changes).to.be(0);
+        });
+
+        it('should only release namespaced keys from its own namespace', function () {
+            var store = new Store('user', { namespace: 'app' });
+            new Store('user');
+            store.destroy();
+            expect(function () {
+                new Store('user');
+            }).to.throwError(/Attempting to declare already declared key: user/);
+        });
+
+        it('should destroy async stores', function () {
+            var store = new Store('user', { async: true });
+            return store.set('user', 'tom').then(function () {
+                return store.destroy({ removeData: true });
+            }).then(function () {
+                expect(localStorage.user).to.be(undefined);
+                expect(function () {
+                    store.get('user');
+                }).to.throwError(/Attempting to use a destroyed store/);
+                new Store('user', { async: true });
+            });
+        });
+
+    });
+
+    describe('registry', function () {
+
+        beforeEach(cleanup);
+
+        it('should list declared keys with their owners', function () {
+            var store = new Store(['user', 'auth'], {
+                name: 'profile',
+                namespace: 'app',
+                backend: 'memory'
+            });
+            store.set('user', 'tom');
+            var registry = Store.registry();
+            expect(registry.length).to.be(2);
+            expect(registry[0].key).to.be('user');
+            expect(registry[0].name).to.be('profile');
+            expect(registry[0].namespace).to.be('app');
+            expect(registry[0].backend).to.be('memory');
+            expect(registry[0].declaredAt).to.match(/store\.test\.js/);
+            expect(registry[1].key).to.be('auth');
+        });
+
+        it('should approximate the bytes used by each key', function () {
+            var store = new Store(['user', 'auth']);
+            store.set('user', 'tom', { ttl: 1000 });
+            var registry = Store.registry();
+            var metaKey = '__multistore__:user';
+            expect(registry[0].bytes).to.be(
+                ('user'.length + 'tom'.length + metaKey.length + localStorage[metaKey].length) * 2
+            );
+            expect(registry[1].bytes).to.be(0);
+        });
+
+        it('should not know the bytes used by async stores', function () {
+            var store = new Store('user', { async: true, backend: asyncBackend(localStorage) });
+            return store.ready.then(function (backend) {
+                expect(Store.registry()[0].bytes).to.be(null);
+                expect(Store.registry()[0].backend).to.be(backend);
+            });
+        });
+
+        it('should be read-only', function () {
+            new Store('user');
+            var registry = Store.registry();
+            expect(Object.isFrozen(registry)).to.be(true);
+            expect(Object.isFrozen(registry[0])).to.be(true);
+        });
+
+        it('should drop released keys', function () {
+            var store = new Store(['user', 'auth']);
+            store.setKeys('user');
+            expect(Store.registry().length).to.be(1);
+            store.destroy();
+            expect(Store.registry().length).to.be(0);
+        });
+
+        it('should name the owner of an already declared key', function () {
+            new Store('user', { name: 'profile' });
+            expect(function () {
+                new Store('user');
+            }).to.throwError(function (e) {
+                expect(e.message).to.match(/key: user \(declared by store "profile"/);
+                expect(e.message).to.match(/"profile" at .*store\.test\.js/);
+            });
+        });
+
+        it('should say when the owner of an already declared key is unnamed', function () {
+            new Store('user');
+            expect(function () {
+                new Store('user', { name: 'other' });
+            }).to.throwError(/already declared key: user \(declared by an unnamed store/);
+        });
+
+        it('should only accept non-empty string names', function () {
+            [1, '', {}].forEach(function (name) {
+                expect(function () {
+                    new Store('user', { name: name });
+                }).to.throwError(TypeError);
+            });
+        });
+
+    });
+
+    describe('orphans', function () {
+
+        beforeEach(cleanup);
+
+        it('should find values at keys no store has declared', function () {
+            new Store('user');
+            localStorage.user = 'tom';
+            localStorage.old = 'data';
+            expect(Store.findOrphans('local')).to.eql([
+                { key: 'old', bytes: ('old'.length + 'data'.length) * 2 }
+            ]);
+        });
+
+        it('should count metadata with its value', function () {
+            var store = new Store(['user', 'old']);
+            store.set('user', 'tom', { ttl: 1000 });
+            store.set('old', 'data', { ttl: 1000 });
+            var meta = localStorage['__multistore__:old'];
+            store.setKeys('user');
+            expect(Store.findOrphans(localStorage)).to.eql([{
+                key: 'old',
+                bytes: ('old'.length + 'data'.length +
+                        '__multistore__:old'.length + meta.length) * 2
+            }]);
+        });
+
+        it('should find keys in namespaces that are no longer declared', function () {
+            new Store('user', { namespace: 'v2' });
+            localStorage['v1:user'] = 'tom';
+            localStorage['v2:user'] = 'tom';
+            expect(Store.findOrphans('local').map(function (orphan) {
+                return orphan.key;
+            })).to.eql(['v1:user']);
+        });
+
+        it('should leave lock leases and relayed messages alone', function () {
+            var locks = Store.locks;
+            Store.locks = null;
+            var store = new Store('counter');
+            localStorage['__multistore_sync__:multistore'] = '{}';
+            return store.update('counter', function () {
+                expect(Store.findOrphans('local')).to.eql([]);
+                Store.collectOrphans('local', { allow: [/.*/] });
+                expect(localStorage['__multistore_lock__:counter']).to.be.ok();
+                expect(localStorage['__multistore_sync__:multistore']).to.be('{}');
+                return 1;
+            }).then(function () {
+                Store.locks = locks;
+            }, function (e) {
+                Store.locks = locks;
+                throw e;
+            });
+        });
+
+        it('should not remove anything when finding orphans', function () {
+            localStorage.old = 'data';
+            Store.findOrphans('local');
+            expect(localStorage.old).to.be('data');
+        });
+
+        it('should require a backend that can list its keys', function () {
+            expect(function () {
+                Store.findOrphans(brokenStorage);
+            }).to.throwError(TypeError);
+        });
+
+        it('should only collect allowed orphans', function () {
+            var store = new Store(['user', 'old']);
+            store.set('old', 'data', { ttl: 1000 });
+            store.setKeys('user');
+            localStorage.user = 'tom';
+            localStorage['draft:1'] = 'a';
+            localStorage['other-app'] = 'b';
+            var collected = Store.collectOrphans('local', { allow: ['old', /^draft:/] });
+            expect(collected.map(function (orphan) {
+                return orphan.key;
+            })).to.eql(['old', 'draft:1']);
+            expect(localStorage.old).to.be(undefined);
+            expect(localStorage['__multistore__:old']).to.be(undefined);
+            expect(localStorage['draft:1']).to.be(undefined);
+            expect(localStorage['other-app']).to.be('b');
+            expect(localStorage.user).to.be('tom');
+        });
+
+        it('should never collect declared keys', function () {
+            new Store('user');
+            localStorage.user = 'tom';
+            expect(Store.collectOrphans('local', { allow: [/./] })).to.eql([]);
+            expect(localStorage.user).to.be('tom');
+        });
+
+        it('should require an allow list', function () {
+            localStorage.old = 'data';
+            expect(function () {
+                Store.collectOrphans('local');
+            }).to.throwError(/requires an `allow` list/);
+            expect(localStorage.old).to.be('data');
+        });
+
+        it('should work with async backends', function () {
+            var backend = asyncBackend(Store.backendMap.memory);
+            backend.keys = function () {
+                return Promise.resolve(Object.keys(Store.backendMap.memory.data));
+            };
+            Store.backendMap.memory.setItem('old', 'data');
+            return Store.findOrphans(backend).then(function (orphans) {
+                expect(orphans).to.eql([{ key: 'old', bytes: 14 }]);
+                return Store.collectOrphans(backend, { allow: ['old'] });
+            }).then(function (collected) {
+                expect(collected.length).to.be(1);
+                expect(Store.backendMap.memory.getItem('old')).to.be(null);
+            });
+        });
+
+    });
+
+    describe('prefixes', function () {
+
+        beforeEach(cleanup);
+
+        it('should allow any key under a declared prefix', function () {
+            var store = new Store([{ prefix: 'draft:' }]);
+            expect(store.keys).to.eql([]);
+            expect(store.prefixes).to.eql(['draft:']);
+            store.set('draft:1', 'a');
+            store.set('draft:2', 'b');
+            expect(store.get('draft:1')).to.be('a');
+            expect(localStorage['draft:2']).to.be('b');
+            store.remove('draft:1');
+            expect(localStorage['draft:1']).to.be(undefined);
+            expect(store.hasDeclared('draft:3')).to.be(true);
+            expect(store.hasDeclared('drafts')).to.be(false);
+            expect(function () {
+                store.set('drafts', 'c');
+            }).to.throwError(/Attempting to set undeclared key: drafts/);
+        });
+
+        it('should describe the keys under a prefix', function () {
+            var store = new Store([{ prefix: 'draft:', ttl: 1000, validate: { type: 'string' } }]);
+            store.set('draft:1', 'a');
+            expect(JSON.parse(localStorage['__multistore__:draft:1']).expires).to.be.a('number');
+            expect(function () {
+                store.set('draft:2', 2);
+            }).to.throwError(/Invalid value for key draft:2/);
+        });
+
+        it('should let declared keys override their prefix', function () {
+            var store = new Store([{ prefix: 'draft:', ttl: 1000 }, 'draft:latest']);
+            store.set('draft:latest', 'a');
+            expect(localStorage['__multistore__:draft:latest']).to.be(undefined);
+        });
+
+        it('should list the keys with values', function () {
+            var store = new Store(['user', 'auth', { prefix: 'draft:' }], { namespace: 'app' });
+            store.set('user', 'tom');
+            store.set('draft:1', 'a');
+            store.set('draft:2', 'b');
+            localStorage['__multistore__:app:draft:2'] = JSON.stringify({ expires: 1 });
+            localStorage['draft:3'] = 'outside the namespace';
+            localStorage['app:note:1'] = 'undeclared';
+            expect(store.list()).to.eql(['user', 'draft:1']);
+        });
+
+        it('should not allow overlapping keys and prefixes between stores', function () {
+            new Store([{ prefix: 'draft:' }, 'user'], { name: 'drafts' });
+            expect(function () {
+                new Store('draft:1');
+            }).to.throwError(/key: draft:1 \(declared by store "drafts" as prefix draft:/);
+            expect(function () {
+                new Store([{ prefix: 'draft:1:' }]);
+            }).to.throwError(/Attempting to declare already declared prefix: draft:1:/);
+            expect(function () {
+                new Store([{ prefix: 'dr' }]);
+            }).to.throwError(/Attempting to declare already declared prefix: dr/);
+            expect(function () {
+                new Store([{ prefix: 'us' }]);
+            }).to.throwError(/prefix: us \(declared by store "drafts" as key user/);
+            new Store([{ prefix: 'drafts' }, { prefix: 'note:' }]);
+        });
+
+        it('should check prefixes in canDeclare', function () {
+            var store = new Store([{ prefix: 'draft:' }]);
+            var other = new Store([], { namespace: 'other' });
+            expect(store.canDeclare('draft:1')).to.be(false);
+            expect(store.canDeclare({ prefix: 'd' })).to.be(false);
+            expect(store.canDeclare({ prefix: 'note:' })).to.be(true);
+            expect(other.canDeclare('draft:1')).to.be(true);
+            expect(other.canDeclare({ prefix: 'draft:' })).to.be(true);
+        });
+
+        it('should release prefixes', function () {
+            var store = new Store([{ prefix: 'draft:' }]);
+            store.setKeys('user');
+            new Store('draft:1');
+            store.destroy();
+            new Store([{ prefix: 'user' }]);
+        });
+
+        it('should move keys under prefixes when switching backend', function () {
+            var store = new Store([{ prefix: 'draft:' }, 'user']);
+            store.set('draft:1', 'a');
+            store.set('user', 'tom');
+            store.setBackend('memory');
+            expect(localStorage['draft:1']).to.be(undefined);
+            expect(store.get('draft:1')).to.be('a');
+            expect(store.get('user')).to.be('tom');
+        });
+
+        it('should remove keys under prefixes when destroyed', function () {
+            var store = new Store([{ prefix: 'draft:' }]);
+            store.set('draft:1', 'a');
+            store.destroy({ removeData: true });
+            expect(localStorage['draft:1']).to.be(undefined);
+        });
+
+        it('should not count keys under prefixes as orphans', function () {
+            new Store([{ prefix: 'draft:' }]);
+            localStorage['draft:1'] = 'a';
+            localStorage.old = 'b';
+            expect(Store.findOrphans('local').map(function (orphan) {
+                return orphan.key;
+            })).to.eql(['old']);
+        });
+
+        it('should list prefixes in the registry', function () {
+            var store = new Store([{ prefix: 'draft:' }], { name: 'drafts' });
+            store.set('draft:1', 'a');
+            var registry = Store.registry();
+            expect(registry.length).to.be(1);
+            expect(registry[0].prefix).to.be('draft:');
+            expect(registry[0].key).to.be(undefined);
+            expect(registry[0].bytes).to.be(('draft:1'.length + 'a'.length) * 2);
+        });
+
+        it('should need a backend that can list its keys', function () {
+            var backend = {
+                setItem: noop,
+                getItem: noop,
+                removeItem: noop,
+                clear: noop
+            };
+            expect(function () {
+                new Store([{ prefix: 'draft:' }], { backend: backend });
+            }).to.throwError(/No usable backends/);
+            var store = new Store('user', { backend: backend });
+            expect(function () {
+                store.setKeys([{ prefix: 'draft:' }]);
+            }).to.throwError(/must be able to list their keys to use prefixes/);
+        });
+
+        it('should only accept non-empty prefixes without a key', function () {
+            var keys = [{ prefix: '' }, { prefix: 1 }, { key: 'user', prefix: 'draft:' }];
+            keys.forEach(function (key) {
+                expect(function () {
+                    new Store([key]);
+                }).to.throwError(/All keys must be strings, or objects with a string key/);
+            });
+        });
+
+        it('should list the keys of async stores', function () {
+            var backend = asyncBackend(localStorage);
+            backend.keys = function () {
+                return Promise.resolve(Object.keys(localStorage));
+            };
+            var store = new Store([{ prefix: 'draft:' }], { async: true, backend: backend });
+            return store.set('draft:1', 'a').then(function () {
+                return store.list();
+            }).then(function (keys) {
+                expect(keys).to.eql(['draft:1']);
+            });
+        });
+
+    });
+
+    describe('namespace', function () {
+
+        beforeEach(cleanup);
+
+        it('should store keys under the namespace', function () {
+            var store = new Store('user', { namespace: 'myapp:v1' });
+            store.set('user', 'tom');
+            expect(localStorage['myapp:v1:user']).to.be('tom');
+            expect(localStorage.user).to.be(undefined);
+            expect(store.get('user')).to.be('tom');
+            store.remove('user');
+            expect(localStorage['myapp:v1:user']).to.be(undefined);
+        });
+
+        it('should not read data outside the namespace', function () {
+            localStorage.user = 'other';
+            var store = new Store('user', { namespace: 'myapp' });
+            expect(store.get('user')).to.be(null);
+        });
+
+        it('should allow the same key in different namespaces', function () {
+            var app = new Store('user', { namespace: 'app' });
+            var other = new Store('user', { namespace: 'other' });
+            var plain = new Store('user');
+            app.set('user', 'a');
+            other.set('user', 'b');
+            plain.set('user', 'c');
+            expect(app.get('user')).to.be('a');
+            expect(other.get('user')).to.be('b');
+            expect(plain.get('user')).to.be('c');
+        });
+
+        it('should not allow the same key twice in one namespace', function () {
+            new Store('user', { namespace: 'app' });
+            expect(function () {
+                new Store('user', { namespace: 'app' });
+            }).to.throwError(/Attempting to declare already declared key: user/);
+        });
+
+        it('should copy namespaced keys when switching backend', function () {
+            var store = new Store('user', { namespace: 'app' });
+            store.set('user', 'tom', { ttl: 1000 });
+            store.setBackend('session');
+            expect(localStorage.length).to.be(0);
+            expect(sessionStorage['app:user']).to.be('tom');
+            expect(store.get('user')).to.be('tom');
+        });
+
+        it('should only pass on storage events within the namespace', function () {
+            var store = new Store('user', { namespace: 'app' });
+            var changes = [];
+            store.on('change', 'user', function (change) {
+                changes.push(change.newValue);
+            });
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: 'user',
+                newValue: 'outside',
+                storageArea: localStorage
+            }));
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: 'app:user',
+                newValue: 'inside',
+                storageArea: localStorage
+            }));
+            expect(changes).to.eql(['inside']);
+        });
+
+        it('should throw on an invalid namespace', function () {
+            expect(function () {
+                new Store('user', { namespace: '' });
+            }).to.throwError(/Namespace must be a non-empty string/);
+        });
+
+    });
+
+    describe('validation', function () {
+
+        beforeEach(cleanup);
+
+        var userSchema = {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+                id: { type: 'integer', minimum: 1 },
+                name: { type: 'string', minLength: 1 },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        };
+
+        function isToken(value) {
+            return typeof value === 'string' || 'should be a string';
+        }
+
+        it('should accept keys mapped to descriptions', function () {
+            var store = new Store({
+                user: { validate: userSchema },
+                auth: { validate: isToken }
+            });
+            expect(store.keys).to.eql(['user', 'auth']);
+        });
+
+        it('should throw before invalid values reach the backend', function () {
+            var store = new Store({ auth: { validate: isToken } });
+            expect(function () {
+                store.set('auth', 10);
+            }).to.throwError(/Invalid value for key auth: should be a string/);
+            expect(localStorage.auth).to.be(undefined);
+        });
+
+        it('should treat validators returning false or throwing as failing', function () {
+            var store = new Store([{
+                key: 'example',
+                validate: function (value) {
+                    return value !== 'bad';
+                }
+            }, {
+                key: 'other',
+                validate: function () {
+                    throw new Error('Nope');
+                }
+            }]);
+            expect(function () {
+                store.set('example', 'bad');
+            }).to.throwError(/Invalid value for key example: rejected by validator/);
+            expect(function () {
+                store.set('other', 'test');
+            }).to.throwError(/Invalid value for key other: Nope/);
+            expect(store.set('example', 'good')).to.be('good');
+        });
+
+        it('should check values against schemas', function () {
+            var store = new Store({ user: { validate: userSchema } }, { transformer: JSON });
+            expect(function () {
+                store.set('user', { id: 1 });
+            }).to.throwError(/Invalid value for key user: value.name is required/);
+            expect(function () {
+                store.set('user', { id: 1.5, name: 'Tom' });
+            }).to.throwError(/value.id should be integer, not number/);
+            expect(function () {
+                store.set('user', { id: 1, name: 'Tom', tags: ['a', 2] });
+            }).to.throwError(/value.tags\[1\] should be string, not integer/);
+            expect(function () {
+                store.set('user', { id: 1, name: 'Tom', tags: ['a'] });
+            }).not.to.throwError();
+        });
+
+        it('should throw on get if the stored value is invalid', function () {
+            var store = new Store({ user: { validate: userSchema } }, { transformer: JSON });
+            localStorage.user = '{"id":"hacked"}';
+            expect(function () {
+                store.get('user');
+            }).to.throwError(/Invalid value for key user/);
+        });
+
+        it('should return the fallback if the stored value is invalid', function () {
+            var store = new Store({ user: { validate: userSchema } }, { transformer: JSON });
+            localStorage.user = '{"id":"hacked"}';
+            expect(store.get('user', { fallback: null })).to.be(null);
+            expect(localStorage.user).to.be('{"id":"hacked"}');
+        });
+
+        it('should return the fallback if the stored value cannot be parsed', function () {
+            var store = new Store({ user: { validate: userSchema } }, { transformer: JSON });
+            localStorage.user = '{"id":';
+            expect(store.get('user', { fallback: null })).to.be(null);
+            expect(function () {
+                store.get('user');
+            }).to.throwError(SyntaxError);
+        });
+
+        it('should return the fallback in async stores', function () {
+            var store = new Store({ user: { validate: userSchema } }, {
+                async: true,
+                backend: asyncBackend(localStorage),
+                transformer: JSON
+            });
+            localStorage.user = '{"id":';
+            return store.get('user', { fallback: null }).then(function (user) {
+                expect(user).to.be(null);
+            });
+        });
+
+        it('should not validate missing values', function () {
+            var store = new Store({ user: { validate: userSchema } }, { transformer: JSON });
+            expect(store.get('user')).to.be(null);
+        });
+
+        it('should throw on invalid validators', function () {
+            expect(function () {
+                new Store({ user: { validate: 'yes please' } });
+            }).to.throwError(/Validator for key user must be a function or schema/);
+        });
+
+        it('should reject invalid values in async stores', function () {
+            var store = new Store({ auth: { validate: isToken } }, { async: true });
+            return store.set('auth', 10).then(function () {
+                throw new Error('Should have rejected');
+            }, function (e) {
+                expect(e.message).to.match(/Invalid value for key auth/);
+            });
+        });
+
+    });
+
+    describe('defaults', function () {
+
+        beforeEach(cleanup);
+
+        it('should return the default when there is no value', function () {
+            var store = new Store({ key: 'prefs', default: { theme: 'light' } }, {
+                transformer: JSON
+            });
+            expect(store.get('prefs')).to.eql({ theme: 'light' });
+            expect(localStorage.prefs).to.be(undefined);
+        });
+
+        it('should prefer stored values, even falsy ones', function () {
+            var store = new Store({ key: 'count', default: 10 }, { transformer: JSON });
+            store.set('count', 0);
+            expect(store.get('count')).to.be(0);
+        });
+
+        it('should put the default through the transformer', function () {
+            var store = new Store({ key: 'count', default: 10.5 }, {
+                transformer: integerTransformer
+            });
+            expect(store.get('count')).to.be(10);
+        });
+
+        it('should not share default objects between gets', function () {
+            var store = new Store({ key: 'prefs', default: { theme: 'light' } }, {
+                transformer: JSON
+            });
+            store.get('prefs').theme = 'dark';
+            expect(store.get('prefs')).to.eql({ theme: 'light' });
+        });
+
+        it('should call default factories', function () {
+            var calls = 0;
+            var store = new Store({
+                key: 'prefs',
+                default: function () {
+                    calls++;
+                    return { theme: 'light' };
+                }
+            }, { transformer: JSON });
+            expect(store.get('prefs')).to.eql({ theme: 'light' });
+            expect(calls).to.be(1);
+        });
+
+        it('should return the default for expired values', function () {
+            var store = new Store({ key: 'prefs', default: 'light', ttl: 1000 });
+            var now = Date.now;
+            store.set('prefs', 'dark');
+            Date.now = function () {
+                return now() + 1000;
+            };
+            try {
+                expect(store.get('prefs')).to.be('light');
+            } finally {
+                Date.now = now;
+            }
+        });
+
+        it('should restore the default on reset', function () {
+            var store = new Store({ key: 'prefs', default: 'light' });
+            store.set('prefs', 'dark');
+            expect(store.reset('prefs')).to.be('light');
+            expect(localStorage.prefs).to.be(undefined);
+            expect(store.get('prefs')).to.be('light');
+        });
+
+        it('should return defaults from async stores', function () {
+            var store = new Store({ key: 'prefs', default: 'light' }, { async: true });
+            return store.get('prefs').then(function (value) {
+                expect(value).to.be('light');
+            });
+        });
+
+    });
+
+    describe('versions', function () {
+
+        beforeEach(cleanup);
+
+        var migrations = {
+            2: function (user) {
+                return { name: user };
+            },
+            3: function (user) {
+                user.names = user.name.split(' ');
+                delete user.name;
+                return user;
+            }
+        };
+
+        it('should record the version next to the data', function () {
+            var store = new Store('user', { version: 2 });
+            store.set('user', 'tom');
+            expect(localStorage.user).to.be('tom');
+            expect(localStorage.length).to.be(2);
+        });
+
+        it('should migrate data that predates versioning', function () {
+            localStorage.user = '"Tom Ashworth"';
+            var store = new Store('user', {
+                transformer: JSON,
+                version: 3,
+                migrations: migrations
+            });
+            expect(store.get('user')).to.eql({ names: ['Tom', 'Ashworth'] });
+        });
+
+        it('should only run the migrations needed', function () {
+            var old = new Store('user', {
+                transformer: JSON,
+                version: 2,
+                migrations: { 2: migrations[2] }
+            });
+            old.set('user', { name: 'Tom Ashworth' });
+            Store.clearKeyRegistry();
+            var store = new Store('user', {
+                transformer: JSON,
+                version: 3,
+                migrations: migrations
+            });
+            expect(store.get('user')).to.eql({ names: ['Tom', 'Ashworth'] });
+        });
+
+        it('should not migrate data written by the current version', function () {
+            var store = new Store('user', {
+                transformer: JSON,
+                version: 3,
+                migrations: migrations
+            });
+            store.set('user', { names: ['Tom'] });
+            Store.clearKeyRegistry();
+            store = new Store('user', {
+                transformer: JSON,
+                version: 3,
+                migrations: migrations
+            });
+            expect(store.get('user')).to.eql({ names: ['Tom'] });
+        });
+
+        it('should remove values migrated to undefined', function () {
+            localStorage.user = 'tom';
+            new Store('user', {
+                version: 2,
+                migrations: { 2: noop }
+            });
+            expect(localStorage.length).to.be(0);
+        });
+
+        it('should throw on data from a newer version', function () {
+            new Store('user', { version: 3 }).set('user', 'tom');
+            Store.clearKeyRegistry();
+            expect(function () {
+                new Store('user', { version: 2 });
+            }).to.throwError(/written by version 3, which is newer than version 2/);
+        });
+
+        it('should say which migration failed', function () {
+            localStorage.user = 'tom';
+            expect(function () {
+                new Store('user', {
+                    version: 2,
+                    migrations: {
+                        2: function () {
+                            throw new Error('Oops');
+                        }
+                    }
+                });
+            }).to.throwError(/Migration to version 2 failed for key user: Oops/);
+            expect(localStorage.user).to.be('tom');
+        });
+
+        it('should throw on invalid migrations', function () {
+            expect(function () {
+                new Store('user', { version: 0 });
+            }).to.throwError(/Version must be a positive integer/);
+            expect(function () {
+                new Store('user', { migrations: {} });
+            }).to.throwError(/Migrations require a version/);
+            expect(function () {
+                new Store('user', { version: 2, migrations: { 3: noop } });
+            }).to.throwError(/Migration for invalid version: 3/);
+        });
+
+        it('should migrate before async stores are ready', function () {
+            localStorage.user = '"Tom Ashworth"';
+            var store = new Store('user', {
+                async: true,
+                transformer: JSON,
+                version: 3,
+                migrations: migrations
+            });
+            return store.get('user').then(function (user) {
+                expect(user).to.eql({ names: ['Tom', 'Ashworth'] });
+            });
+        });
+
+    });
+
+    describe('events', function () {
+
+        beforeEach(cleanup);
+
+        // Fake the storage event another tab's change would fire.
+        function storageEvent(init) {
+            window.dispatchEvent(new StorageEvent('storage', init));
+        }
+
+        it('should fire change on set', function () {
+            var store = new Store('example', { transformer: JSON });
+            var changes = [];
+            store.set('example', { a: 1 });
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            store.set('example', { a: 2 });
+            expect(changes).to.eql([{
+                key: 'example',
+                oldValue: { a: 1 },
+                newValue: { a: 2 },
+                source: 'store'
+            }]);
+        });
+
+        it('should fire change on remove', function () {
+            var store = new Store('example');
+            var changes = [];
+            store.set('example', 'test');
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            store.remove('example');
+            expect(changes).to.eql([{
+                key: 'example',
+                oldValue: 'test',
+                newValue: undefined,
+                source: 'store'
+            }]);
+        });
+
+        it('should only fire for the key listened to', function () {
+            var store = new Store(['example', 'other']);
+            var changes = [];
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            store.set('other', 'test');
+            expect(changes).to.eql([]);
+        });
+
+        it('should stop firing after off', function () {
+            var store = new Store('example');
+            var changes = [];
+            function handler(change) {
+                changes.push(change);
+            }
+            store.on('change', 'example', handler);
+            store.off('change', 'example', handler);
+            store.set('example', 'test');
+            expect(changes).to.eql([]);
+        });
+
+        it('should not allow listening to undeclared keys', function () {
+            var store = new Store('example');
+            expect(function () {
+                store.on('change', 'undeclared', noop);
+            }).to.throwError(/Attempting to listen to undeclared key: undeclared/);
+        });
+
+        it('should throw on unknown events', function () {
+            var store = new Store('example');
+            expect(function () {
+                store.on('explode', 'example', noop);
+            }).to.throwError(/Unknown event: explode/);
+        });
+
+        it('should fire change when another tab changes a declared key', function () {
+            var store = new Store('example', { transformer: JSON });
+            var changes = [];
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            storageEvent({
+                key: 'example',
+                oldValue: '{"a":1}',
+                newValue: '{"a":2}',
+                storageArea: localStorage
+            });
+            expect(changes).to.eql([{
+                key: 'example',
+                oldValue: { a: 1 },
+                newValue: { a: 2 },
+                source: 'storage'
+            }]);
+        });
+
+        it('should ignore other tabs changing undeclared keys or other backends', function () {
+            var store = new Store('example');
+            var changes = [];
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            storageEvent({
+                key: 'undeclared',
+                newValue: 'evil',
+                storageArea: localStorage
+            });
+            storageEvent({
+                key: 'example',
+                newValue: 'test',
+                storageArea: sessionStorage
+            });
+            expect(changes).to.eql([]);
+        });
+
+        it('should report values from other tabs that cannot be parsed', function () {
+            var store = new Store('example', { transformer: JSON });
+            var changes = [];
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            storageEvent({
+                key: 'example',
+                oldValue: '{"a":1}',
+                newValue: '{bad',
+                storageArea: localStorage
+            });
+            expect(changes.length).to.be(1);
+            expect(changes[0].oldValue).to.eql({ a: 1 });
+            expect(changes[0].newValue).to.be(undefined);
+            expect(changes[0].error).to.be.a(SyntaxError);
+        });
+
+        it('should report unparseable values from other tabs in async stores', function () {
+            var store = new Store('example', { async: true, transformer: JSON });
+            return store.ready.then(function () {
+                return new Promise(function (resolve) {
+                    store.on('change', 'example', resolve);
+                    storageEvent({
+                        key: 'example',
+                        newValue: '{bad',
+                        storageArea: localStorage
+                    });
+                });
+            }).then(function (change) {
+                expect(change.newValue).to.be(undefined);
+                expect(change.error).to.be.a(SyntaxError);
+            });
+        });
+
+        it('should treat expired values from other tabs as undefined', function () {
+            var store = new Store('example');
+            var changes = [];
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            localStorage['__multistore__:example'] = JSON.stringify({ expires: 1 });
+            storageEvent({
+                key: 'example',
+                newValue: 'test',
+                storageArea: localStorage
+            });
+            expect(changes).to.eql([{
+                key: 'example',
+                oldValue: undefined,
+                newValue: undefined,
+                source: 'storage'
+            }]);
+        });
+
+        it('should fire change in async stores', function () {
+            var store = new Store('example', { async: true });
+            var changes = [];
+            store.on('change', 'example', function (change) {
+                changes.push(change);
+            });
+            return store.set('example', 'test').then(function () {
+                expect(changes).to.eql([{
+                    key: 'example',
+                    oldValue: undefined,
+                    newValue: 'test',
+                    source: 'store'
+                }]);
+            });
+        });
+
+    });
+
+    describe('cache', function () {
+
+        var now = Date.now;
+
+        // Counts how often values are parsed.
+        var parses;
+        var countingTransformer = {
+            parse: function (value) {
+                parses++;
+                return JSON.parse(value);
+            },
+            stringify: JSON.stringify
+        };
+
+        beforeEach(function () {
+            cleanup();
+            parses = 0;
+        });
+
+        afterEach(function () {
+            Date.now = now;
+        });
+
+        it('should only parse values once', function () {
+            var store = new Store('user', { cache: true, transformer: countingTransformer });
+            store.set('user', { name: 'tom' });
+            var user = store.get('user');
+            expect(store.get('user')).to.be(user);
+            expect(parses).to.be(1);
+        });
+
+        it('should forget values that are set or removed', function () {
+            var store = new Store('user', { cache: true, transformer: JSON });
+            store.set('user', 'tom');
+            store.get('user');
+            store.set('user', 'bob');
+            expect(store.get('user')).to.be('bob');
+            store.remove('user');
+            expect(store.get('user')).to.be(null);
+        });
+
+        it('should forget values changed by other tabs', function () {
+            var store = new Store('user', { cache: true, namespace: 'app' });
+            store.set('user', 'tom');
+            store.get('user');
+            localStorage['app:user'] = 'bob';
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: 'app:user',
+                oldValue: 'tom',
+                newValue: 'bob',
+                storageArea: localStorage
+            }));
+            expect(store.get('user')).to.be('bob');
+        });
+
+        it('should forget values changed by broadcast', function () {
+            var store = new Store('user', {
+                cache: true,
+                sync: 'broadcast',
+                backend: new Store.MemoryStorage()
+            });
+            var channel = new BroadcastChannel('multistore');
+            store.set('user', 'tom');
+            store.get('user');
+            var change = new Promise(function (resolve) {
+                store.on('change', 'user', resolve);
+            });
+            channel.postMessage({ id: 'other', clock: 5, key: 'user', entry: { value: 'bob' } });
+            return change.then(function () {
+                expect(store.get('user')).to.be('bob');
+            }).then(function () {
+                channel.close();
+                store.destroy();
+            }, function (e) {
+                channel.close();
+                store.destroy();
+                throw e;
+            });
+        });
+
+        it('should not return expired values', function () {
+            var store = new Store('user', { cache: true });
+            store.set('user', 'tom', { ttl: 1000 });
+            store.get('user');
+            var then = Date.now();
+            Date.now = function () {
+                return then + 1000;
+            };
+            expect(store.get('user')).to.be(undefined);
+        });
+
+        it('should hold back writes until flushed', function () {
+            var store = new Store(['user', 'auth'], { cache: { writeBehind: true } });
+            localStorage.auth = 'token';
+            store.set('user', 'tom');
+            store.set('user', 'bob');
+            store.remove('auth');
+            expect(localStorage.user).to.be(undefined);
+            expect(localStorage.auth).to.be('token');
+            expect(store.get('user')).to.be('bob');
+            expect(store.get('auth')).to.be(null);
+            expect(store.list()).to.eql(['user']);
+            store.flush();
+            expect(localStorage.user).to.be('bob');
+            expect(localStorage.auth).to.be(undefined);
+        });
+
+        it('should flush when the page is hidden', function () {
+            var store = new Store('user', { cache: { writeBehind: true } });
+            store.set('user', 'tom');
+            window.dispatchEvent(new Event('pagehide'));
+            expect(localStorage.user).to.be('tom');
+            store.destroy();
+        });
+
+        it('should report writes that fail to flush when the page is hidden', function () {
+            var reportError = window.reportError;
+            var reported = [];
+            window.reportError = function (e) {
+                reported.push(e);
+            };
+            var backend = new Store.MemoryStorage();
+            var store = new Store('user', { backend: backend, cache: { writeBehind: true } });
+            var async = new Store('auth', {
+                async: true,
+                backend: asyncBackend(backend),
+                cache: { writeBehind: true }
+            });
+            return async.ready.then(function () {
+                backend.quota = 0;
+                store.set('user', 'tom');
+                return async.set('auth', 'token');
+            }).then(function () {
+                window.dispatchEvent(new Event('pagehide'));
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 10);
+                });
+            }).then(function () {
+                window.reportError = reportError;
+                expect(reported.length).to.be(2);
+                reported.forEach(function (e) {
+                    expect(e.name).to.be('QuotaExceededError');
+                });
+                backend.quota = Infinity;
+                store.destroy();
+                return async.destroy();
+            }, function (e) {
+                window.reportError = reportError;
+                throw e;
+            });
+        });
+
+        it('should flush when destroyed', function () {
+            var store = new Store('user', { cache: { writeBehind: true } });
+            store.set('user', 'tom');
+            store.destroy();
+            expect(localStorage.user).to.be('tom');
+        });
+
+        it('should hold on to writes that fail to flush', function () {
+            var backend = new Store.MemoryStorage({ quota: 60 });
+            var value = new Array(50).join('x');
+            var store = new Store('user', { backend: backend, cache: { writeBehind: true } });
+            store.set('user', value);
+            expect(function () {
+                store.flush();
+            }).to.throwError(function (e) {
+                expect(e.name).to.be('QuotaExceededError');
+            });
+            backend.quota = Infinity;
+            store.flush();
+            expect(backend.getItem('user')).to.be(value);
+        });
+
+        it('should flush before releasing the lock on an update', function () {
+            var store = new Store('counter', { cache: { writeBehind: true }, transformer: JSON });
+            return store.update('counter', function () {
+                return 1;
+            }).then(function () {
+                expect(localStorage.counter).to.be('1');
+            });
+        });
+
+        it('should read from the backend while holding the lock on an update', function () {
+            var store = new Store('counter', { cache: true, transformer: JSON });
+            store.set('counter', 1);
+            store.get('counter');
+            // Another tab's write, before its storage event arrives.
+            localStorage.counter = '5';
+            return store.update('counter', function (count) {
+                return count + 1;
+            }).then(function (count) {
+                expect(count).to.be(6);
+                expect(localStorage.counter).to.be('6');
+            });
+        });
+
+        it('should only accept a boolean or options', function () {
+            expect(function () {
+                new Store('user', { cache: 'yes' });
+            }).to.throwError(/cache must be a boolean or an object of options/);
+        });
+
+    });
+
+    describe('sync', function () {
+
+        var stores = [];
+
+        beforeEach(cleanup);
+
+        afterEach(function () {
+            stores.forEach(function (store) {
+                store.destroy();
+            });
+            stores = [];
+        });
+
+        // Creates a store as if it were in another tab, with a memory backend of its own.
+        function tab(keys, opts) {
+            Store.clearKeyRegistry();
+            opts = opts || {};
+            opts.sync = 'broadcast';
+            opts.backend = opts.backend || new Store.MemoryStorage();
+            var store = new Store(keys, opts);
+            stores.push(store);
+            return store;
+        }
+
+        // Calls `fn` without BroadcastChannel, so that messages are relayed through localStorage,
+        // and with `relay` in place of localStorage.
+        function withRelay(relay, fn) {
+            var BroadcastChannel = window.BroadcastChannel;
+            var descriptor = Object.getOwnPropertyDescriptor(window, 'localStorage');
+            window.BroadcastChannel = undefined;
+            Object.defineProperty(window, 'localStorage', { configurable: true, value: relay });
+            try {
+                return fn();
+            } finally {
+                window.BroadcastChannel = BroadcastChannel;
+                if (descriptor) {
+                    Object.defineProperty(window, 'localStorage', descriptor);
+                } else {
+                    delete window.localStorage;
+                }
+            }
+        }
+
+        // Resolves with the next change to `key` in `store`.
+        function nextChange(store, key) {
+            return new Promise(function (resolve) {
+                store.on('change', key, function listener(change) {
+                    store.off('change', key, listener);
+                    resolve(change);
+                });
+            });
+        }
+
+        it('should send sets to other tabs', function () {
+            var one = tab('user', { transformer: JSON });
+            var two = tab('user', { transformer: JSON });
+            var change = nextChange(two, 'user');
+            one.set('user', { name: 'tom' });
+            return change.then(function (change) {
+                expect(change).to.eql({
+                    key: 'user',
+                    oldValue: undefined,
+                    newValue: { name: 'tom' },
+                    source: 'broadcast'
+                });
+                expect(two.get('user')).to.eql({ name: 'tom' });
+            });
+        });
+
+        it('should report values from other tabs that cannot be parsed', function () {
+            var one = tab('user');
+            var two = tab('user', { transformer: JSON });
+            var change = nextChange(two, 'user');
+            one.set('user', '{bad');
+            return change.then(function (change) {
+                expect(change.newValue).to.be(undefined);
+                expect(change.error).to.be.a(SyntaxError);
+            });
+        });
+
+        it('should report changes from other tabs that cannot be written', function () {
+            var backend = new Store.MemoryStorage();
+            var store = tab('user', { backend: backend });
+            backend.quota = 10;
+            var channel = new BroadcastChannel('multistore');
+            var message = { id: 'other', clock: 1, key: 'user', entry: { value: 'tom' } };
+            var change = nextChange(store, 'user');
+            channel.postMessage(message);
+            return change.then(function (change) {
+                expect(change.newValue).to.be(undefined);
+                expect(change.error.name).to.be('QuotaExceededError');
+                // The change can still be made once there's room for it.
+                backend.quota = Infinity;
+                var retried = nextChange(store, 'user');
+                channel.postMessage(message);
+                return retried;
+            }).then(function (change) {
+                channel.close();
+                expect(change.newValue).to.be('tom');
+                expect(store.get('user')).to.be('tom');
+            }, function (e) {
+                channel.close();
+                throw e;
+            });
+        });
+
+        it('should report changes that cannot be written in async stores', function () {
+            var backend = new Store.MemoryStorage();
+            var store = tab('user', { async: true, backend: asyncBackend(backend) });
+            var channel = new BroadcastChannel('multistore');
+            var change = nextChange(store, 'user');
+            var message = { id: 'other', clock: 1, key: 'user', entry: { value: 'tom' } };
+            return store.ready.then(function () {
+                backend.quota = 10;
+                channel.postMessage(message);
+                return change;
+            }).then(function (change) {
+                channel.close();
+                expect(change.newValue).to.be(undefined);
+                expect(change.error.name).to.be('QuotaExceededError');
+            }, function (e) {
+                channel.close();
+                throw e;
+            });
+        });
+
+        it('should send removes to other tabs', function () {
+            var one = tab('user');
+            var two = tab('user');
+            var set = nextChange(one, 'user');
+            two.set('user', 'tom');
+            return set.then(function () {
+                var change = nextChange(two, 'user');
+                one.remove('user');
+                return change;
+            }).then(function (change) {
+                expect(change.newValue).to.be(undefined);
+                expect(two.get('user')).to.be(null);
+            });
+        });
+
+        it('should send batches to other tabs', function () {
+            var one = tab(['user', 'auth']);
+            var two = tab(['user', 'auth']);
+            var change = nextChange(two, 'auth');
+            one.setMany({ user: 'tom', auth: 'token' });
+            return change.then(function () {
+                expect(two.getMany(['user', 'auth'])).to.eql({ user: 'tom', auth: 'token' });
+            });
+        });
+
+        it('should only sync within a namespace', function () {
+            var one = tab('user', { namespace: 'one' });
+            var other = tab('user', { namespace: 'other' });
+            var two = tab('user', { namespace: 'one' });
+            var change = nextChange(two, 'user');
+            one.set('user', 'tom');
+            return change.then(function () {
+                expect(other.get('user')).to.be(null);
+            });
+        });
+
+        it('should let the last writer win', function () {
+            var store = tab('user');
+            var channel = new BroadcastChannel('multistore');
+            var changes = [];
+            store.on('change', 'user', function (change) {
+                changes.push(change.newValue);
+            });
+            store.set('user', 'mine');
+            channel.postMessage({ id: 'other', clock: 0, key: 'user', entry: { value: 'stale' } });
+            channel.postMessage({ id: 'other', clock: 5, key: 'user', entry: { value: 'fresh' } });
+            var sent = new Promise(function (resolve) {
+                channel.onmessage = function (event) {
+                    if (event.data.entry.value === 'later') {
+                        resolve(event.data);
+                    }
+                };
+            });
+            return nextChange(store, 'user').then(function () {
+                expect(changes).to.eql(['mine', 'fresh']);
+                // The store's clock has moved past every change it has seen.
+                store.set('user', 'later');
+                return sent;
+            }).then(function (message) {
+                channel.close();
+                expect(message.key).to.be('user');
+                expect(message.clock).to.be(6);
+                expect(message.entry.value).to.be('later');
+            }, function (e) {
+                channel.close();
+                throw e;
+            });
+        });
+
+        it('should relay through storage events without BroadcastChannel', function () {
+            var BroadcastChannel = window.BroadcastChannel;
+            window.BroadcastChannel = undefined;
+            var store;
+            try {
+                store = tab('user');
+            } finally {
+                window.BroadcastChannel = BroadcastChannel;
+            }
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: '__multistore_sync__:multistore',
+                newValue: JSON.stringify({ id: 'other', clock: 1, key: 'user',
+                                           entry: { value: 'tom', meta: null } }),
+                storageArea: localStorage
+            }));
+            expect(store.get('user')).to.be('tom');
+        });
+
+        it('should not fail writes that cannot be relayed', function () {
+            var relay = new Store.MemoryStorage();
+            var store = withRelay(relay, function () {
+                return tab('user');
+            });
+            relay.quota = 0;
+            expect(store.set('user', 'tom')).to.be('tom');
+            expect(store.get('user')).to.be('tom');
+        });
+
+        it('should throw if messages cannot be relayed', function () {
+            var relay = new Store.MemoryStorage({ quota: 0 });
+            expect(function () {
+                withRelay(relay, function () {
+                    return tab('user');
+                });
+            }).to.throwError(/localStorage that can be written to/);
+        });
+
+        it('should only accept broadcast', function () {
+            expect(function () {
+                new Store('user', { sync: 'carrier pigeon' });
+            }).to.throwError(/sync must be "broadcast"/);
+        });
+
+    });
+
+    describe('async', function () {
+
+        beforeEach(cleanup);
+
+        beforeEach(function () {
+            return Store.backendMap.indexeddb.clear();
+        });
+
+        it('should return promises from every method', function () {
+            var store = new Store('example', { async: true });
+            expect(store.ready).to.be.a(Promise);
+            return store.set('example', 'test').then(function (value) {
+                expect(value).to.be('test');
+                expect(localStorage.example).to.be('test');
+                return store.get('example');
+            }).then(function (value) {
+                expect(value).to.be('test');
+                return store.remove('example');
+            }).then(function () {
+                expect(localStorage.example).to.be(undefined);
+            });
+        });
+
+        it('should support async backends', function () {
+            var memory = new Store.MemoryStorage();
+            var store = new Store('example', {
+                async: true,
+                backend: asyncBackend(memory),
+                transformer: JSON
+            });
+            return store.set('example', { a: 10 }).then(function () {
+                expect(memory.getItem('example')).to.be('{"a":10}');
+                return store.get('example');
+            }).then(function (value) {
+                expect(value).to.eql({ a: 10 });
+            });
+        });
+
+        it('should support the indexeddb backend', function () {
+            var store = new Store('example', {
+                async: true,
+                backend: 'indexeddb'
+            });
+            return store.set('example', { a: 10 }).then(function () {
+                return store.get('example');
+            }).then(function (value) {
+                expect(value).to.eql({ a: 10 });
+                expect(store.backend).to.be(Store.backendMap.indexeddb);
+            });
+        });
+
+        // Deletes the IndexedDB database called `name`, left over from earlier runs.
+        function deleteDatabase(name) {
+            return new Promise(function (resolve, reject) {
+                var request = indexedDB.deleteDatabase(name);
+                request.onsuccess = resolve;
+                request.onerror = reject;
+            });
+        }
+
+        it('should add object stores to an existing indexeddb database', function () {
+            var first = new Store.IndexedDBStorage({ name: 'multistore-test' });
+            var second = new Store.IndexedDBStorage({
+                name: 'multistore-test',
+                storeName: 'other'
+            });
+            return deleteDatabase('multistore-test').then(function () {
+                return first.setItem('example', 'first');
+            }).then(function () {
+                return second.setItem('example', 'second');
+            }).then(function () {
+                return Promise.all([first.getItem('example'), second.getItem('example')]);
+            }).then(function (values) {
+                expect(values).to.eql(['first', 'second']);
+            });
+        });
+
+        it('should reject if another connection blocks adding an object store', function () {
+            var connection;
+            return deleteDatabase('multistore-test').then(function () {
+                return new Promise(function (resolve) {
+                    var request = indexedDB.open('multistore-test');
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                });
+            }).then(function (db) {
+                // Unlike the backend's own connections, this one won't close to let others upgrade.
+                connection = db;
+                return new Store.IndexedDBStorage({ name: 'multistore-test' }).getItem('example');
+            }).then(function () {
+                throw new Error('Should have rejected');
+            }, function (e) {
+                expect(e.message).to.match(/another connection to it is still open/);
+                connection.close();
+            });
+        });
+
+        it('should reject on undeclared keys', function () {
+            var store = new Store('example', { async: true });
+            return store.get('undeclared').then(function () {
+                throw new Error('Should have rejected');
+            }, function (e) {
+                expect(e.message).to.match(/Attempting to get undeclared key: undeclared/);
+            });
+        });
+
+        it('should fallback to backends in list', function () {
+            var store = new Store('example', {
+                async: true,
+                backend: [asyncBackend(brokenStorage), 'local']
+            });
+            return store.ready.then(function (backend) {
+                expect(backend).to.be(localStorage);
+            });
+        });
+
+        it('should reject ready if there are no usable backends', function () {
+            var store = new Store('example', {
+                async: true,
+                backend: asyncBackend(brokenStorage)
+            });
+            return store.ready.then(function () {
+                throw new Error('Should have rejected');
+            }, function (e) {
+                expect(e.message).to.match(/No usable backends could be found/);
+            });
+        });
+
+        it('should reject from methods if there are no usable backends', function () {
+            var unhandled = [];
+            function onUnhandledRejection(event) {
+                unhandled.push(event.reason);
+            }
+            window.addEventListener('unhandledrejection', onUnhandledRejection);
+            var store = new Store('example', {
+                async: true,
+                backend: asyncBackend(brokenStorage)
+            });
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 10);
+            }).then(function () {
+                return store.get('example');
+            }).then(function () {
+                throw new Error('Should have rejected');
+            }, function (e) {
+                expect(e.message).to.match(/No usable backends could be found/);
+            }).then(function () {
+                window.removeEventListener('unhandledrejection', onUnhandledRejection);
+                expect(unhandled).to.eql([]);
+            });
+        });
+
+        it('should copy all keys across when switching backend', function () {
+            var store = new Store(['example1', 'example2'], {
+                async: true,
+                backend: 'indexeddb'
+            });
+            return store.set('example1', '10').then(function () {
+                return store.set('example2', '20');
+            }).then(function () {
+                return store.setBackend('local');
+            }).then(function (backend) {
+                expect(backend).to.be(localStorage);
+                expect(localStorage.example1).to.be('10');
+                expect(localStorage.example2).to.be('20');
+                return Store.backendMap.indexeddb.getItem('example1');
+            }).then(function (value) {
+                expect(value).to.be(null);
+            });
+        });
+
+        it('should not allow sync stores to use async backends', function () {
+            expect(function () {
+                new Store('example', {
+                    backend: 'indexeddb'
+                });
+            }).to.throwError(/No usable backends could be found/);
+        });
+
+    });
+
+    describe('quota', function () {
+
+        beforeEach(cleanup);
+
+        var big = new Array(100).join('x');
+
+        it('should throw by default', function () {
+            var store = new Store('example', {
+                backend: new Store.MemoryStorage({ quota: 100 })
+            });
+            expect(function () {
+                store.set('example', big);
+            }).to.throwError(function (e) {
+                expect(e.name).to.be('QuotaExceededError');
+            });
+        });
+
+        it('should not leave a value without its metadata', function () {
+            var backend = new Store.MemoryStorage({ quota: 250 });
+            var store = new Store('example', { backend: backend });
+            store.set('example', 'old');
+            // There is room for the value, but not for its expiry as well.
+            expect(function () {
+                store.set('example', big, { ttl: 1000 });
+            }).to.throwError(function (e) {
+                expect(e.name).to.be('QuotaExceededError');
+            });
+            expect(store.get('example')).to.be('old');
+            expect(backend.length).to.be(1);
+        });
+
+        it('should fail over to the next backend', function () {
+            var small = new Store.MemoryStorage({ quota: 100 });
+            var large = new Store.MemoryStorage();
+            var store = new Store(['example', 'other'], {
+                backend: [small, large],
+                onQuotaExceeded: 'failover'
+            });
+            store.set('other', 'test');
+            store.set('example', big);
+            expect(store.backend).to.be(large);
+            expect(large.getItem('example')).to.be(big);
+            expect(large.getItem('other')).to.be('test');
+            expect(small.length).to.be(0);
+        });
+
+        it('should fail over in setMany', function () {
+            var small = new Store.MemoryStorage({ quota: 100 });
+            var large = new Store.MemoryStorage();
+            var store = new Store(['example', 'other'], {
+                backend: [small, large],
+                onQuotaExceeded: 'failover'
+            });
+            store.setMany({ other: 'test', example: big });
+            expect(store.backend).to.be(large);
+            expect(large.getItem('example')).to.be(big);
+            expect(large.getItem('other')).to.be('test');
+            expect(small.length).to.be(0);
+        });
+
+        it('should roll back setMany on the backend it failed over to', function () {
+            var large = new Store.MemoryStorage({ quota: 250 });
+            var store = new Store(['a', 'b', 'c'], {
+                backend: [new Store.MemoryStorage({ quota: 100 }), large],
+                onQuotaExceeded: 'failover'
+            });
+            expect(function () {
+                store.setMany({ a: 'test', b: big, c: big });
+            }).to.throwError(/quota/);
+            expect(store.backend).to.be(large);
+            expect(large.length).to.be(0);
+        });
+
+        it('should call the hook in import', function () {
+            var calls = [];
+            var store = new Store(['example', 'cache'], {
+                backend: new Store.MemoryStorage({ quota: 250 }),
+                onQuotaExceeded: function (key, value, store) {
+                    calls.push(key);
+                    store.remove('cache');
+                }
+            });
+            store.set('cache', big);
+            store.import({
+                format: 'multistore',
+                version: 1,
+                entries: [{ key: 'example', raw: big }]
+            });
+            expect(calls).to.eql(['example']);
+            expect(store.get('example')).to.be(big);
+        });
+
+        it('should skip unusable backends when failing over', function () {
+            var store = new Store('example', {
+                backend: [new Store.MemoryStorage({ quota: 100 }), brokenStorage, 'session'],
+                onQuotaExceeded: 'failover'
+            });
+            store.set('example', big);
+            expect(store.backend).to.be(sessionStorage);
+        });
+
+        it('should throw if there is nothing to fail over to', function () {
+            var small = new Store.MemoryStorage({ quota: 100 });
+            var store = new Store('example', {
+                backend: [small],
+                onQuotaExceeded: 'failover'
+            });
+            expect(function () {
+                store.set('example', big);
+            }).to.throwError(/quota/);
+            expect(store.backend).to.be(small);
+        });
+
+        it('should call the hook and set again', function () {
+            var calls = [];
+            var store = new Store(['example', 'cache'], {
+                backend: new Store.MemoryStorage({ quota: 250 }),
+                onQuotaExceeded: function (key, value, store) {
+                    calls.push([key, value]);
+                    store.remove('cache');
+                }
+            });
+            store.set('cache', big);
+            store.set('example', big);
+            expect(calls).to.eql([['example', big]]);
+            expect(store.get('example')).to.be(big);
+            expect(store.get('cache')).to.be(null);
+        });
+
+        it('should throw if the hook returns false', function () {
+            var store = new Store('example', {
+                backend: new Store.MemoryStorage({ quota: 100 }),
+                onQuotaExceeded: function () {
+                    return false;
+                }
+            });
+            expect(function () {
+                store.set('example', big);
+            }).to.throwError(/quota/);
+        });
+
+        it('should not handle other errors', function () {
+            var calls = 0;
+            var store = new Store('example', {
+                backend: {
+                    setItem: function (key) {
+                        if (key === 'example') {
+                            throw new Error('Broken');
+                        }
+                    },
+                    getItem: noop,
+                    removeItem: noop,
+                    clear: noop
+                },
+                onQuotaExceeded: function () {
+                    calls++;
+                }
+            });
+            expect(function () {
+                store.set('example', 'test');
+            }).to.throwError(/Broken/);
+            expect(calls).to.be(0);
+        });
+
+        it('should fail over in async stores', function () {
+            var large = new Store.MemoryStorage();
+            var store = new Store('example', {
+                async: true,
+                backend: [asyncBackend(new Store.MemoryStorage({ quota: 100 })), large],
+                onQuotaExceeded: 'failover'
+            });
+            return store.set('example', big).then(function () {
+                expect(store.backend).to.be(large);
+                expect(large.getItem('example')).to.be(big);
+            });
+        });
+
+        it('should throw on an invalid policy', function () {
+            expect(function () {
+                new Store('example', { onQuotaExceeded: 'panic' });
+            }).to.throwError(/onQuotaExceeded must be/);
+        });
+
+    });
+
+    describe('transformer', function () {
+
+        describe('parse', function () {
+
+            beforeEach(cleanup);
+
+            it('should support JSON as transformer', function () {
+                var store = new Store('example', {
+                    transformer: JSON
+                });
+                localStorage.example = '{ "a": 10 }';
+                expect(
+                    store.get('example')
+                ).to.eql({ a: 10 });
+            });
+
+            it('should support custom transformer', function () {
+                var store = new Store('example', {
+                    transformer: integerTransformer
+                });
+                localStorage.example = '10';
+                expect(
+                    store.get('example')
+                ).to.eql(10);
+            });
+
+        });
+
+        describe('stringify', function () {
+
+            beforeEach(cleanup);
+
+            it('should support JSON as transformer', function () {
+                var store = new Store('example', {
+                    transformer: JSON
+                });
+                store.set('example', { a: 10 });
+                expect(localStorage.example).to.be('{"a":10}');
+            });
+
+            it('should support custom transformer', function () {
+                var store = new Store('example', {
+                    transformer: integerTransformer
+                });
+                store.set('example', '10.233242');
+                expect(localStorage.example).to.be('10');
+            });
+
+        });
+
+        describe('compose', function () {
+
+            beforeEach(cleanup);
+
+            // Transformer that wraps values in `name(...)`, so the order is visible.
+            function wrapper(name) {
+                return {
+                    parse: function (value) {
+                        var prefix = name + '(';
+                        if (value.indexOf(prefix) !== 0) {
+                            throw new Error('Not wrapped in ' + name);
+                        }
+                        return value.slice(prefix.length, -1);
+                    },
+                    stringify: function (value) {
+                        return name + '(' + value + ')';
+                    }
+                };
+            }
+
+            it('should stringify left-to-right and parse right-to-left', function () {
+                var transformer = Store.compose([JSON, wrapper('a'), wrapper('b')]);
+                expect(transformer.stringify({ x: 1 })).to.be('b(a({"x":1}))');
+                expect(transformer.parse('b(a({"x":1}))')).to.eql({ x: 1 });
+            });
+
+            it('should be used for an array transformer', function () {
+                var store = new Store('example', {
+                    transformer: [JSON, wrapper('a')]
+                });
+                store.set('example', [1, 2]);
+                expect(localStorage.example).to.be('a([1,2])');
+                expect(store.get('example')).to.eql([1, 2]);
+            });
+
+            it('should parse missing values as themselves', function () {
+                var store = new Store('example', {
+                    transformer: [JSON, wrapper('a')]
+                });
+                expect(store.get('example')).to.be(null);
+            });
+
+            it('should say which stage threw', function () {
+                var transformer = Store.compose([JSON, wrapper('a'), wrapper('b')]);
+                expect(function () {
+                    transformer.parse('b(c(1))');
+                }).to.throwError(function (e) {
+                    expect(e.message).to.match(
+                        /Transformer at index 1 failed to parse: Not wrapped in a/
+                    );
+                    expect(e.stage).to.be(1);
+                    expect(e.cause.message).to.be('Not wrapped in a');
+                });
+            });
+
+            it('should wait for stages that return promises', function () {
+                var later = {
+                    parse: function (value) {
+                        return Promise.resolve(value.slice(1));
+                    },
+                    stringify: function (value) {
+                        return Promise.resolve('!' + value);
+                    }
+                };
+                var transformer = Store.compose([JSON, later, wrapper('a')]);
+                return transformer.stringify({ x: 1 }).then(function (value) {
+                    expect(value).to.be('a(!{"x":1})');
+                    return transformer.parse(value);
+                }).then(function (value) {
+                    expect(value).to.eql({ x: 1 });
+                });
+            });
+
+            it('should check every stage', function () {
+                expect(function () {
+                    Store.compose([JSON, {}]);
+                }).to.throwError(/Transformer at index 1: Transformer missing method, "parse"/);
+                expect(function () {
+                    Store.compose(JSON);
+                }).to.throwError(/Compose takes an array of transformers/);
+            });
+
+        });
+
+        describe('rich JSON transformer', function () {
+
+            beforeEach(cleanup);
+
+            var transformer = Store.richJSONTransformer;
+
+            function roundTrip(value) {
+                return transformer.parse(transformer.stringify(value));
+            }
+
+            it('should round-trip plain JSON values', function () {
+                var value = { a: [1, 'two', true, null], b: { c: 3.5 } };
+                expect(roundTrip(value)).to.eql(value);
+            });
+
+            it('should round-trip dates', function () {
+                var date = new Date(2014, 2, 16);
+                var value = roundTrip({ created: date });
+                expect(value.created).to.be.a(Date);
+                expect(value.created.getTime()).to.be(date.getTime());
+            });
+
+            it('should round-trip maps and sets', function () {
+                var value = roundTrip(new Map([['a', new Set([1, 2])], [1, new Date(0)]]));
+                expect(value).to.be.a(Map);
+                expect(value.get('a')).to.be.a(Set);
+                expect(value.get('a').has(2)).to.be(true);
+                expect(value.get(1).getTime()).to.be(0);
+            });
+
+            it('should round-trip regular expressions', function () {
+                var value = roundTrip(/ab+c/gi);
+                expect(value).to.be.a(RegExp);
+                expect(value.source).to.be('ab+c');
+                expect(value.global).to.be(true);
+                expect(value.ignoreCase).to.be(true);
+            });
+
+            it('should round-trip undefined and special numbers', function () {
+                var value = roundTrip({ a: undefined, b: [NaN, Infinity, -Infinity, -0] });
+                expect(value.hasOwnProperty('a')).to.be(true);
+                expect(value.a).to.be(undefined);
+                expect(isNaN(value.b[0])).to.be(true);
+                expect(value.b[1]).to.be(Infinity);
+                expect(value.b[2]).to.be(-Infinity);
+                expect(1 / value.b[3]).to.be(-Infinity);
+                expect(roundTrip(undefined)).to.be(undefined);
+            });
+
+            it('should round-trip typed arrays', function () {
+                var value = roundTrip(new Float32Array([1.5, NaN]));
+                expect(value).to.be.a(Float32Array);
+                expect(value[0]).to.be(1.5);
+                expect(isNaN(value[1])).to.be(true);
+            });
+
+            it('should round-trip bigints', function () {
+                if (typeof BigInt !== 'function') {
+                    return;
+                }
+                var big = BigInt('9007199254740993');
+                expect(roundTrip({ big: big }).big).to.be(big);
+            });
+
+            it('should read plain JSON that is already stored', function () {
+                var store = new Store('user', { transformer: transformer });
+                localStorage.user = '{"name":"Tom","created":"2014-03-16T00:00:00.000Z"}';
+                expect(store.get('user')).to.eql({
+                    name: 'Tom',
+                    created: '2014-03-16T00:00:00.000Z'
+                });
+            });
+
+            it('should keep __proto__ keys as own properties, like JSON.parse', function () {
+                var json = '{"__proto__":{"admin":true}}';
+                var value = transformer.parse(json);
+                expect(Object.getPrototypeOf(value)).to.be(Object.prototype);
+                expect(value.admin).to.be(undefined);
+                expect(Object.keys(value)).to.eql(['__proto__']);
+                expect(transformer.stringify(value)).to.be(json);
+            });
+
+            it('should not confuse objects with a $type property for tagged values', function () {
+                var value = { $type: 'Date', value: 0 };
+                expect(roundTrip(value)).to.eql(value);
+                expect(transformer.parse('{"$type":"Custom","value":1}')).to.eql({
+                    $type: 'Custom',
+                    value: 1
+                });
+            });
+
+            it('should read plain JSON that only looks like tagged values', function () {
+                [
+                    { $type: 'Map', value: { a: 1 } },
+                    { $type: 'Set', value: 'abc' },
+                    { $type: 'Date', value: '2020-01-01' },
+                    { $type: 'RegExp', value: 'a+' },
+                    { $type: 'Number', value: 12 },
+                    { $type: 'BigInt', value: 'lots' },
+                    { $type: 'Object', value: [1] },
+                    { $type: 'Uint8Array', value: { length: 1 } },
+                    { $type: 'undefined', value: null }
+                ].forEach(function (value) {
+                    expect(transformer.parse(JSON.stringify(value))).to.eql(value);
+                });
+            });
+
+            it('should throw on values it cannot represent', function () {
+                var circular = {};
+                circular.self = circular;
+                expect(function () {
+                    transformer.stringify(circular);
+                }).to.throwError(/circular/);
+                expect(function () {
+                    transformer.stringify({ fn: noop });
+                }).to.throwError(/Cannot stringify a function/);
+            });
+
+            it('should not allow methods to be overwritten', function () {
+                expect(function () {
+                    transformer.parse = noop;
+                }).to.throwError();
+            });
+
+        });
+
+        describe('encrypting transformer', function () {
+
+            beforeEach(cleanup);
+
+            function generateKey() {
+                return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+                    'encrypt',
+                    'decrypt'
+                ]);
+            }
+
+            it('should encrypt values in the backend and decrypt them on get', function () {
+                var store = new Store('auth', {
+                    async: true,
+                    transformer: [JSON, Store.encryptingTransformer(generateKey())]
+                });
+                return store.set('auth', { token: 'secret' }).then(function () {
+                    expect(localStorage.auth).to.match(/^aes-gcm:/);
+                    expect(localStorage.auth).not.to.contain('secret');
+                    return store.get('auth');
+                }).then(function (value) {
+                    expect(value).to.eql({ token: 'secret' });
+                });
+            });
+
+            it('should reject tampered values', function () {
+                var store = new Store('auth', {
+                    async: true,
+                    transformer: [JSON, Store.encryptingTransformer(generateKey())]
+                });
+                return store.set('auth', 'secret').then(function () {
+                    var value = localStorage.auth;
+                    var last = value.charAt(value.length - 3) === 'A' ? 'B' : 'A';
+                    localStorage.auth = value.slice(0, -3) + last + value.slice(-2);
+                    return store.get('auth');
+                }).then(function () {
+                    throw new Error('Should have rejected');
+                }, function (e) {
+                    expect(e.message).to.match(/Failed to decrypt value: it has been tampered/);
+                });
+            });
+
+            it('should reject values encrypted with a different key', function () {
+                var transformer = Store.encryptingTransformer(generateKey());
+                var other = Store.encryptingTransformer(generateKey());
+                return transformer.stringify('secret').then(function (value) {
+                    return other.parse(value);
+                }).then(function () {
+                    throw new Error('Should have rejected');
+                }, function (e) {
+                    expect(e.message).to.match(/or was encrypted with a different key/);
+                });
+            });
+
+            it('should reject values that are not encrypted', function () {
+                var store = new Store('auth', {
+                    async: true,
+                    transformer: [JSON, Store.encryptingTransformer(generateKey())]
+                });
+                localStorage.auth = '"plaintext"';
+                return store.get('auth').then(function () {
+                    throw new Error('Should have rejected');
+                }, function (e) {
+                    expect(e.message).to.match(/Failed to decrypt value: it is not encrypted/);
+                });
+            });
+
+            it('should only encrypt strings', function () {
+                return Store.encryptingTransformer(generateKey()).stringify({}).then(function () {
+                    throw new Error('Should have rejected');
+                }, function (e) {
+                    expect(e.message).to.match(/can only encrypt strings/);
+                });
+            });
+
+            it('should not be usable by sync stores', function () {
+                expect(function () {
+                    new Store('auth', {
+                        transformer: [JSON, Store.encryptingTransformer(generateKey())]
+                    });
+                }).to.throwError(/Async transformers can only be used by async stores/);
+            });
+
+        });
+
+        describe('compressing transformer', function () {
+
+            beforeEach(cleanup);
+
+            var transformer = Store.compressingTransformer;
+
+            var payload = JSON.stringify(Array.apply(null, Array(200)).map(function (_, i) {
+                return { id: i, name: 'User ' + i, tags: ['one', 'two'] };
+            }));
+
+            it('should compress repetitive strings', function () {
+                var compressed = transformer.stringify(payload);
+                expect(compressed.length).to.be.lessThan(payload.length / 4);
+                expect(transformer.parse(compressed)).to.be(payload);
+            });
+
+            it('should round-trip any string', function () {
+                ['', 'a', 'abababababababab', 'h\u00e9llo w\u00f6rld \u65e5\u672c',
+                    '\ud83d\ude00\ud83d\ude00\ud83d\ude00', '\u0000\u0001\uffff'
+                ].forEach(function (value) {
+                    expect(transformer.parse(transformer.stringify(value))).to.be(value);
+                });
+            });
+
+            it('should only output characters that are safe in UTF-16', function () {
+                var compressed = transformer.stringify(payload + '\ud83d\ude00');
+                for (var i = 0; i < compressed.length; i++) {
+                    var code = compressed.charCodeAt(i);
+                    expect(code >= 0xd800 && code <= 0xdfff).to.be(false);
+                }
+            });
+
+            it('should read values stored before compression was used', function () {
+                var store = new Store('cache', {
+                    transformer: [JSON, transformer]
+                });
+                localStorage.cache = '{"a":10}';
+                expect(store.get('cache')).to.eql({ a: 10 });
+                store.set('cache', JSON.parse(payload));
+                expect(localStorage.cache.length).to.be.lessThan(payload.length);
+                expect(store.get('cache')).to.eql(JSON.parse(payload));
+            });
+
+            it('should leave strings that would not get smaller alone', function () {
+                expect(transformer.stringify('abc')).to.be('abc');
+            });
+
+            it('should throw on corrupt values', function () {
+                var compressed = transformer.stringify(payload);
+                expect(function () {
+                    transformer.parse(compressed.slice(0, compressed.length / 2));
+                }).to.throwError(/Failed to decompress value/);
+            });
+
+            it('should only compress strings', function () {
+                expect(function () {
+                    transformer.stringify({});
+                }).to.throwError(/can only compress strings/);
             });
 
         });